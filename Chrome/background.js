@@ -1,371 +1,2299 @@
-const DOC_ID = "13ctjzzbfV6AHE218r-aHGLBq8j4JL0pLOYw1R_pIiTg";
-// export?format=csv は gid 指定が必要です（シート名は使えないため）。
-// gid が分かる場合のみ設定してください。
-// ※ユーザー指定URLの gid=676289731 を使用
-const SHEET_GID = 676289731;
-
-const STORAGE_KEY = "cipherMapping";
-// スプレッドシートの対応表より「ローカル同梱CSVの対応表」を優先したい場合に使う。
-// Chrome/ フォルダ直下に配置すること。
-const LOCAL_OVERRIDE_CSV_PATH = "localOverrideMapping.csv";
-
-function sanitizeMappingObject(obj) {
-    const out = {};
-    if (!obj || typeof obj !== "object") return out;
-    for (const [k, v] of Object.entries(obj)) {
-        const key = String(k ?? "").trim();
-        const val = String(v ?? "");
-        if (!key) continue;
-        // 空文字は「未翻訳」と同じ扱い（上書きしない）
-        if (val.trim().length === 0) continue;
-        out[key] = val;
-    }
-    return out;
-}
-
-async function loadLocalOverrideMapping() {
-    try {
-        const url = chrome.runtime.getURL(LOCAL_OVERRIDE_CSV_PATH);
-        const res = await fetch(url, { cache: "no-store" });
-        if (!res.ok) return {};
-        const text = await res.text();
-        if (!text || text.trim().length === 0) return {};
-
-        const head = text.slice(0, 2000).toLowerCase();
-        if (head.includes("<html") || head.includes("<!doctype html")) return {};
-
-        const rows = parseCsv(text);
-        const mapping = {};
-        for (const cols of rows) {
-            if (!cols || cols.length < 2) continue;
-            const from = String(cols[0] ?? "").trim();
-            const to = String(cols[1] ?? "");
-            if (!from) continue;
-            if (String(to).trim().length === 0) continue;
-            mapping[from] = String(to);
-        }
-
-        return sanitizeMappingObject(mapping);
-    } catch {
-        return {};
-    }
-}
-
-function buildCsvUrls() {
-    if (typeof SHEET_GID !== "number") {
-        throw new Error("SHEET_GID is required");
-    }
-
-    return [`https://docs.google.com/spreadsheets/d/${DOC_ID}/export?format=csv&gid=${SHEET_GID}`];
-}
-
-/**
- * CSV（RFC4180相当）をざっくり安全にパース。
- * - ダブルクォートで囲まれたセル中のカンマ/改行を扱う
- * - "" は " として扱う
- */
-function parseCsv(text) {
-    const rows = [];
-    let row = [];
-    let field = "";
-    let inQuotes = false;
-
-    for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
-
-        if (inQuotes) {
-            if (ch === '"') {
-                const next = text[i + 1];
-                if (next === '"') {
-                    field += '"';
-                    i++;
-                } else {
-                    inQuotes = false;
-                }
-            } else {
-                field += ch;
-            }
-            continue;
-        }
-
-        if (ch === '"') {
-            inQuotes = true;
-            continue;
-        }
-
-        if (ch === ",") {
-            row.push(field);
-            field = "";
-            continue;
-        }
-
-        if (ch === "\r") {
-            continue;
-        }
-
-        if (ch === "\n") {
-            row.push(field);
-            rows.push(row);
-            row = [];
-            field = "";
-            continue;
-        }
-
-        field += ch;
-    }
-
-    row.push(field);
-    rows.push(row);
-
-    // 末尾の空行を削除
-    while (rows.length > 0) {
-        const last = rows[rows.length - 1];
-        const allEmpty = last.every((c) => (c ?? "").trim() === "");
-        if (!allEmpty) break;
-        rows.pop();
-    }
-
-    return rows;
-}
-
-async function fetchFirstWorkingCsv(url) {
-    let lastError = null;
-
-    try {
-        const res = await fetch(url, { cache: "no-store" });
-        const text = await res.text();
-
-        if (!res.ok) {
-            const err = new Error(`HTTP ${res.status} ${res.statusText}`);
-            err.status = res.status;
-            err.url = url;
-            err.bodySnippet = (text ?? "").slice(0, 300);
-            throw err;
-        }
-
-        if (!text || text.trim().length === 0) {
-            const err = new Error("Empty CSV");
-            err.status = res.status;
-            err.url = url;
-            throw err;
-        }
-
-        // 公開されていない/認証が必要な場合、HTML(ログインページ等)が返ることがある
-        const head = text.slice(0, 2000).toLowerCase();
-        if (head.includes("<html") || head.includes("<!doctype html")) {
-            const err = new Error("Non-CSV response (HTML). Spreadsheet may require sign-in or is not published.");
-            err.status = res.status;
-            err.url = url;
-            err.bodySnippet = (text ?? "").slice(0, 300);
-            throw err;
-        }
-
-        return { url, text, status: res.status };
-    } catch (e) {
-        lastError = e;
-    }
-
-    throw lastError ?? new Error("CSV fetch failed");
-}
-
-function mappingFromRows(rows) {
-    // A=0, B=1
-    const mapping = {};
-
-    const isNonNegativeIntegerString = (s) => /^\d+$/.test(String(s ?? "").trim());
-
-    const getCell = (cols, index) => {
-        if (!cols || index < 0 || index >= cols.length) return "";
-        return String(cols[index] ?? "");
-    };
-
-    const looksLikePackedFirstRow = (firstRowA) => {
-        const trimmed = String(firstRowA ?? "").trim();
-        if (!trimmed) return false;
-        const tokens = trimmed.split(/[\s\u3000]+/).filter(Boolean);
-        // 1セルに大量の暗号トークンが入っているケースのみ packed とみなす
-        return tokens.length >= 100;
-    };
-
-    // 1) 行形式: A列=平文文字, B列=数値インデックス（0..N-1） を収集
-    //    例: "ァ","0" のような行
-    const plainByIndex = new Map();
-    let maxIndex = -1;
-    for (let i = 0; i < rows.length; i++) {
-        const cols = rows[i];
-        if (!cols || cols.length < 2) continue;
-        const a = getCell(cols, 0).trim();
-        const b = getCell(cols, 1).trim();
-        if (!a || !b) continue;
-        if (!isNonNegativeIntegerString(b)) continue;
-
-        const idx = Number.parseInt(b, 10);
-        if (!Number.isFinite(idx) || idx < 0) continue;
-        plainByIndex.set(idx, a);
-        if (idx > maxIndex) maxIndex = idx;
-    }
-
-    // 2) packed形式: 1行目に
-    //    - A列: 暗号文字（空白区切り）
-    //    - B列: 復号文字列（空白区切り）
-    //    が同じ並びで入っている。
-    //    例: "一 丁 ..." / "こ コ？ ..." のように、位置 i 同士を対応付ける。
-    //
-    //    （フォールバック）もしB列のpackedが無い場合のみ、従来の i%N（同音換字）方式を使う。
-    const firstRowA = getCell(rows?.[0], 0);
-    const packed = looksLikePackedFirstRow(firstRowA);
-    if (packed) {
-        const firstRowB = getCell(rows?.[0], 1);
-        const cipherTokens = firstRowA.trim().split(/[\s\u3000]+/).filter(Boolean);
-        const plainTokens = String(firstRowB ?? "")
-            .trim()
-            .split(/[\s\u3000]+/)
-            .filter(Boolean);
-
-        // packed B列がある場合は、それを「暗号トークン列の先頭から順に対応する直接置換値」として扱う。
-        // （B列がA列と同数である保証はないため、B列の長さ分だけ対応付ける）
-        const hasPackedDirect = plainTokens.length >= 100;
-
-        if (hasPackedDirect) {
-            const len = Math.min(cipherTokens.length, plainTokens.length);
-            for (let i = 0; i < len; i++) {
-                const from = cipherTokens[i];
-                const to = plainTokens[i];
-                if (!from || !to) continue;
-                mapping[from] = to;
-            }
-        } else {
-            // フォールバック（旧方式）: 暗号リストの位置 i の復号は (i % N)
-            // ※ユーザー要望「中間に仮名は使わない」には反するため、B列packedが無い場合のみ使う。
-            const base = maxIndex >= 0 ? maxIndex + 1 : 0;
-            if (plainByIndex.size >= 10 && base > 0) {
-                for (let i = 0; i < cipherTokens.length; i++) {
-                    const from = cipherTokens[i];
-                    const to = plainByIndex.get(i % base);
-                    if (!from || !to) continue;
-                    mapping[from] = to;
-                }
-            }
-        }
-    }
-
-    // 3) 直接置換(A->B)
-    //    - B列が数値の行（例: ソ,28）も直接置換として扱う
-    //    - 1行目が packed の巨大セルの場合のみ、そのセルは除外（他の行は通常通り）
-    for (let i = 0; i < rows.length; i++) {
-        const cols = rows[i];
-        if (!cols || cols.length < 2) continue;
-        if (packed && i === 0) continue;
-
-        const from = getCell(cols, 0).trim();
-        const toRaw = getCell(cols, 1);
-        const to = toRaw.trim();
-        if (!from || !to) continue;
-
-        mapping[from] = to;
-    }
-
-    return mapping;
-}
-
-async function refreshMapping() {
-    const startedAt = Date.now();
-    const urls = buildCsvUrls();
-    try {
-        let chosen = null;
-        let mapping = null;
-
-        for (const candidateUrl of urls) {
-            try {
-                const fetched = await fetchFirstWorkingCsv(candidateUrl);
-                const rows = parseCsv(fetched.text);
-                const m = mappingFromRows(rows);
-                if (Object.keys(m).length === 0) continue;
-                chosen = fetched;
-                mapping = m;
-                break;
-            } catch {
-                // try next
-            }
-        }
-
-        if (!chosen || !mapping || Object.keys(mapping).length === 0) {
-            throw new Error("Mapping is empty (check A列→B列 and sheet contents)");
-        }
-
-        // ローカル上書き（特定文字列だけ別の訳語にしたい等）
-        const localOverrides = await loadLocalOverrideMapping();
-        const mergedMapping = { ...mapping, ...localOverrides };
-
-        await chrome.storage.local.set({
-            [STORAGE_KEY]: {
-                ok: true,
-                mapping: mergedMapping,
-                fetchedAt: Date.now(),
-                sourceUrl: chosen.url,
-                durationMs: Date.now() - startedAt,
-                count: Object.keys(mergedMapping).length
-            }
-        });
-
-        console.info("[OkechikaTranslater] refreshMapping ok", {
-            count: Object.keys(mergedMapping).length,
-            sourceUrl: chosen.url,
-            durationMs: Date.now() - startedAt
-        });
-
-        return { ok: true, count: Object.keys(mergedMapping).length };
-    } catch (e) {
-        const status = typeof e?.status === "number" ? e.status : undefined;
-        const privateOrAuthRequired = status === 401 || status === 403;
-
-        console.warn("[OkechikaTranslater] refreshMapping failed", {
-            error: String(e?.message ?? e),
-            status,
-            privateOrAuthRequired,
-            url: e?.url
-        });
-
-        await chrome.storage.local.set({
-            [STORAGE_KEY]: {
-                ok: false,
-                error: String(e?.message ?? e),
-                status,
-                privateOrAuthRequired,
-                bodySnippet: typeof e?.bodySnippet === "string" ? e.bodySnippet : undefined,
-                fetchedAt: Date.now(),
-                sourceUrlCandidates: urls
-            }
-        });
-        return { ok: false, error: String(e?.message ?? e) };
-    }
-}
-
-chrome.runtime.onInstalled.addListener(() => {
-    refreshMapping();
-});
-
-chrome.runtime.onStartup?.addListener(() => {
-    refreshMapping();
-});
-
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
-    (async () => {
-        if (msg?.type === "GET_MAPPING") {
-            const stored = await chrome.storage.local.get(STORAGE_KEY);
-            sendResponse(stored[STORAGE_KEY] ?? { ok: false, error: "No mapping yet" });
-            return;
-        }
-
-        if (msg?.type === "REFRESH_MAPPING") {
-            const result = await refreshMapping();
-            sendResponse(result);
-            return;
-        }
-
-        sendResponse({ ok: false, error: "Unknown message" });
-    })();
-
-    // async sendResponse
-    return true;
-});
+// 対応表ソースが未設定のときに使う既定のスプレッドシート。
+// export?format=csv は gid 指定が必要です（シート名は使えないため）。
+// ※ユーザー指定URLの gid=676289731 を使用
+const DEFAULT_DOC_ID = "13ctjzzbfV6AHE218r-aHGLBq8j4JL0pLOYw1R_pIiTg";
+const DEFAULT_SHEET_GID = 676289731;
+
+const STORAGE_KEY = "cipherMapping";
+// オプションページで設定する対応表ソース一覧と、ソースごとの取得状況。
+// 一覧の並び順がそのまま優先度（先頭が最優先）になる。
+// 例: [{ id: "default", label: "公式", kind: "doc", docId: "...", gid: 0, enabled: true }]
+const SOURCES_KEY = "mappingSources";
+const SOURCE_STATUS_KEY = "mappingSourceStatus";
+// ソースごとの最後に取得できた対応表。取得に失敗したときはこれで代用する。
+const SOURCE_CACHE_KEY = "mappingSourceCache";
+// スプレッドシート由来の対応表（ローカル上書きは含めない）の履歴。新しいものが先頭。
+const HISTORY_KEY = "mappingHistory";
+const MAX_HISTORY_ENTRIES = 10;
+// 「この版に固定」したスナップショット。固定中は自動更新で対応表を差し替えない。
+const PINNED_KEY = "mappingPinnedSnapshot";
+// 自動更新の間隔（分）。この時間内はキャッシュ済みの対応表をそのまま配る。
+const REFRESH_TTL_KEY = "mappingRefreshTtlMinutes";
+const DEFAULT_REFRESH_TTL_MINUTES = 60;
+const MIN_REFRESH_TTL_MINUTES = 5;
+// 取得に失敗して stale になっている間は、TTL を待たずにこの間隔で再試行する
+const STALE_RETRY_MINUTES = 5;
+const REFRESH_ALARM_NAME = "okechika-refresh-mapping";
+const EDIT_TRANSLATION_MENU_ID = "okechika-edit-translation";
+const ENCODE_SELECTION_MENU_ID = "okechika-encode-selection";
+// 逆変換（平文→暗号）で、同じ訳を持つ暗号（同音の字）が複数あるときの選び方
+// first: 対応表で最初の字 / random: 毎回ランダム / round-robin: 同じ文章の中で順番に使い回す
+const ENCODE_STRATEGY_KEY = "okechikaEncodeStrategy";
+const ENCODE_STRATEGIES = ["first", "random", "round-robin"];
+const DEFAULT_ENCODE_STRATEGY = "first";
+// origins（キーごとの由来）で、ローカル上書き由来を表す値
+const OVERRIDE_ORIGIN = "override";
+// origins で、固定中のスナップショット由来を表す値
+const PINNED_ORIGIN = "pinned";
+// ソース（シートのタブ）の役割。並び順がそのまま優先順位で、
+// 同じキーは 固有名詞 > 語句 > 文字 の順に採用する（同じ役割どうしはソースの並び順）。
+// 語句・固有名詞のキーは content script 側で文字単位の置換より先に当てる。
+const SOURCE_ROLES = ["glossary", "phrase", "glyph"];
+const DEFAULT_SOURCE_ROLE = "glyph";
+// 設定ページから読み込んだローカルファイルの行（ソース ID ごと）
+const LOCAL_FILES_KEY = "mappingLocalFiles";
+// 対応表の診断結果（重複キー・前方一致キー・読み飛ばした行など）
+const DIAGNOSTICS_KEY = "mappingDiagnostics";
+// 診断結果の各リストに残す最大件数（件数自体は別に持つ）
+const MAX_DIAGNOSTIC_ITEMS = 200;
+// シートの列の役割。見出し行の列名（小文字で比較）かソースごとの列指定で割り当てる。
+const SCHEMA_FIELDS = ["cipher", "plain", "reading", "note", "category", "priority", "rule"];
+const SCHEMA_HEADER_ALIASES = {
+    cipher: ["cipher", "暗号", "key"],
+    plain: ["plain", "訳", "平文", "value"],
+    reading: ["reading", "読み"],
+    note: ["note", "備考", "メモ"],
+    category: ["category", "分類"],
+    priority: ["priority", "優先度"],
+    rule: ["rule", "ルール", "条件"]
+};
+// 対応表と一緒に配る付加情報の列（cipher / plain / priority / rule 以外）
+const SCHEMA_META_FIELDS = ["reading", "note", "category"];
+// rule 列で使える語。前後の文字を条件にする場合は before:… / after:…（正規表現）と書く
+const RULE_FLAG_ALIASES = {
+    regex: ["regex", "re", "正規表現"],
+    literal: ["literal", "文字列"],
+    start: ["start", "語頭"],
+    end: ["end", "語末"]
+};
+const RULE_CONTEXT_PREFIXES = {
+    before: ["before:", "前:"],
+    after: ["after:", "後:"]
+};
+// 語頭・語末の判定に使う区切り（空白・句読点・記号）
+const RULE_WORD_BOUNDARY = "[\\s\\p{P}\\p{S}]";
+// ルールの正規表現（regex の暗号列と before: / after: の合計）の長さの上限
+const MAX_RULE_REGEX_LENGTH = 200;
+// スプレッドシートの対応表より「ローカル保存の対応表」を優先したい場合に使うキー。
+// オプションページの上書きエディタで編集する。例: { "一乱丣丄": "公式" }
+const LOCAL_OVERRIDE_KEY = "localOverrideMapping";
+// 旧方式の「ローカル同梱CSVの対応表」。Chrome/ フォルダ直下に配置すること。
+// ストレージ側の上書きの方が優先される。
+const LOCAL_OVERRIDE_CSV_PATH = "localOverrideMapping.csv";
+
+function sanitizeMappingObject(obj) {
+    const out = {};
+    if (!obj || typeof obj !== "object") return out;
+    for (const [k, v] of Object.entries(obj)) {
+        const key = String(k ?? "").trim();
+        const val = String(v ?? "");
+        if (!key) continue;
+        // 空文字は「未翻訳」と同じ扱い（上書きしない）
+        if (val.trim().length === 0) continue;
+        out[key] = val;
+    }
+    return out;
+}
+
+async function loadLocalOverrideMapping() {
+    const bundled = await loadBundledOverrideMapping();
+    try {
+        const stored = await chrome.storage.local.get(LOCAL_OVERRIDE_KEY);
+        return { ...bundled, ...sanitizeMappingObject(stored?.[LOCAL_OVERRIDE_KEY]) };
+    } catch {
+        return bundled;
+    }
+}
+
+async function saveLocalOverride(key, value) {
+    const k = String(key ?? "").trim();
+    const v = String(value ?? "");
+    if (!k) return { ok: false, error: "Key is empty" };
+    if (v.trim().length === 0) return { ok: false, error: "Value is empty" };
+
+    const stored = await chrome.storage.local.get(LOCAL_OVERRIDE_KEY);
+    const current = sanitizeMappingObject(stored?.[LOCAL_OVERRIDE_KEY]);
+    // 保存後は storage.onChanged 経由で rebuildMapping が走る
+    await chrome.storage.local.set({ [LOCAL_OVERRIDE_KEY]: { ...current, [k]: v } });
+    return { ok: true };
+}
+
+async function loadBundledOverrideMapping() {
+    try {
+        const url = chrome.runtime.getURL(LOCAL_OVERRIDE_CSV_PATH);
+        const res = await fetch(url, { cache: "no-store" });
+        if (!res.ok) return {};
+        const text = await res.text();
+        if (!text || text.trim().length === 0) return {};
+
+        const head = text.slice(0, 2000).toLowerCase();
+        if (head.includes("<html") || head.includes("<!doctype html")) return {};
+
+        return pairsFromRows(parseCsv(text)).mapping;
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * A列=置換元, B列=置換先 の単純な2列表を対応表にする（ローカル上書き用）。
+ * 使えなかった行は skipped に 1 始まりの行番号で返す。
+ */
+function pairsFromRows(rows) {
+    const mapping = {};
+    const skipped = [];
+    (rows ?? []).forEach((cols, i) => {
+        const from = String(cols?.[0] ?? "").trim();
+        const to = String(cols?.[1] ?? "");
+        if (!from || to.trim().length === 0) {
+            skipped.push(i + 1);
+            return;
+        }
+        mapping[from] = to;
+    });
+    return { mapping: sanitizeMappingObject(mapping), skipped };
+}
+
+function guessOverrideFormat(text) {
+    const head = text.trimStart();
+    if (head.startsWith("{") || head.startsWith("[")) return "json";
+    const firstLine = head.split(/\r?\n/, 1)[0] ?? "";
+    return firstLine.includes("\t") ? "tsv" : "csv";
+}
+
+/**
+ * オプションページからの上書きインポート。
+ * JSON は { "暗号": "訳" } / [["暗号", "訳"]] / [{ "key": "暗号", "value": "訳" }] を受け付ける。
+ */
+function parseOverrideImport(text, format) {
+    const body = String(text ?? "").replace(/^\uFEFF/, "");
+    if (body.trim().length === 0) return { ok: false, error: "Empty input" };
+    const fmt = !format || format === "auto" ? guessOverrideFormat(body) : format;
+
+    if (fmt === "json") {
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            return { ok: false, format: fmt, error: `Invalid JSON: ${String(e?.message ?? e)}` };
+        }
+
+        if (Array.isArray(data)) {
+            const rows = data.map((item) => {
+                if (Array.isArray(item)) return item;
+                if (item && typeof item === "object") {
+                    return [item.key ?? item.cipher ?? item.from, item.value ?? item.plain ?? item.to];
+                }
+                return [];
+            });
+            return { ok: true, format: fmt, ...pairsFromRows(rows) };
+        }
+        if (data && typeof data === "object") {
+            return { ok: true, format: fmt, ...pairsFromRows(Object.entries(data)) };
+        }
+        return { ok: false, format: fmt, error: "JSON must be an object or an array" };
+    }
+
+    if (fmt !== "csv" && fmt !== "tsv") return { ok: false, error: `Unknown format: ${fmt}` };
+    const rows = parseCsv(body, fmt === "tsv" ? "\t" : ",");
+    return { ok: true, format: fmt, ...pairsFromRows(rows) };
+}
+
+function defaultSources() {
+    return [
+        {
+            id: "default",
+            label: "既定の対応表",
+            kind: "doc",
+            docId: DEFAULT_DOC_ID,
+            gid: DEFAULT_SHEET_GID,
+            enabled: true
+        }
+    ];
+}
+
+/**
+ * ソースごとの列指定。
+ * - header: "auto"（見出し行を列名で判定）/ "yes"（1行目は見出し）/ "no"（見出し無し）
+ * - columns: 役割ごとに列記号（"A", "C" …）か見出し名。未指定は見出し名から自動で探す
+ */
+function normalizeSchema(schema) {
+    const header = schema?.header === "yes" || schema?.header === "no" ? schema.header : "auto";
+    const columns = {};
+    for (const field of SCHEMA_FIELDS) {
+        const v = String(schema?.columns?.[field] ?? "").trim();
+        if (v) columns[field] = v;
+    }
+    return { header, columns };
+}
+
+function normalizeSource(src) {
+    if (!src || typeof src !== "object") return null;
+    const id = String(src.id ?? "").trim();
+    if (src.kind === "file") {
+        // 設定ページで読み込んだローカルファイル。行は LOCAL_FILES_KEY 側に持つ
+        if (!id) return null;
+        return {
+            id,
+            label: String(src.label ?? "").trim() || id,
+            kind: "file",
+            fileName: String(src.fileName ?? ""),
+            sheetName: String(src.sheetName ?? ""),
+            enabled: src.enabled === undefined ? true : Boolean(src.enabled),
+            role: SOURCE_ROLES.includes(src.role) ? src.role : DEFAULT_SOURCE_ROLE,
+            schema: normalizeSchema(src.schema)
+        };
+    }
+    const kind = src.kind === "published" ? "published" : "doc";
+    const docId = String(src.docId ?? "").trim();
+    const gid = Number(src.gid ?? 0);
+    if (!id) return null;
+    // URLに埋め込むため、ID として使える文字だけ許可
+    if (!/^[A-Za-z0-9_-]+$/.test(docId)) return null;
+    if (!Number.isSafeInteger(gid) || gid < 0) return null;
+    return {
+        id,
+        label: String(src.label ?? "").trim() || id,
+        kind,
+        docId,
+        gid,
+        // "csv"（export?format=csv）か "gviz"（gviz JSON。セルの型が崩れにくい）
+        format: src.format === "gviz" && kind === "doc" ? "gviz" : "csv",
+        enabled: src.enabled === undefined ? true : Boolean(src.enabled),
+        role: SOURCE_ROLES.includes(src.role) ? src.role : DEFAULT_SOURCE_ROLE,
+        schema: normalizeSchema(src.schema)
+    };
+}
+
+async function loadSources() {
+    try {
+        const stored = await chrome.storage.local.get(SOURCES_KEY);
+        const list = stored?.[SOURCES_KEY];
+        // 未設定（一度もオプションで保存していない）場合のみ既定値を使う
+        if (!Array.isArray(list)) return defaultSources().map(normalizeSource);
+        return list.map(normalizeSource).filter(Boolean);
+    } catch {
+        return defaultSources().map(normalizeSource);
+    }
+}
+
+function buildCsvUrl(source) {
+    if (source.kind === "file") {
+        // 取得はしないが、状態表示やキャッシュの照合用に識別子を持たせる
+        return `file:${encodeURIComponent(source.fileName)}#${encodeURIComponent(source.sheetName)}`;
+    }
+    if (source.format === "gviz") {
+        // headers=0: 1行目を勝手に見出し扱いさせない（CSV と同じ行の並びにする）
+        return `https://docs.google.com/spreadsheets/d/${source.docId}/gviz/tq?tqx=out:json&headers=0&gid=${source.gid}`;
+    }
+    if (source.kind === "published") {
+        // 「ウェブに公開」リンク（/spreadsheets/d/e/2PACX-.../pub）
+        return `https://docs.google.com/spreadsheets/d/e/${source.docId}/pub?gid=${source.gid}&single=true&output=csv`;
+    }
+    return `https://docs.google.com/spreadsheets/d/${source.docId}/export?format=csv&gid=${source.gid}`;
+}
+
+function buildCsvUrls(sources) {
+    const enabled = (sources ?? []).filter((s) => s.enabled);
+    if (enabled.length === 0) {
+        throw new Error("No enabled mapping source (check options page)");
+    }
+
+    return enabled.map((source) => ({ source, url: buildCsvUrl(source) }));
+}
+
+// 大きな CSV を何回かに分けて読むときの 1 回分の文字数
+const CSV_CHUNK_SIZE = 256 * 1024;
+
+/**
+ * 少しずつ文字列を渡せる CSV パーサー（RFC4180 相当）。
+ * - push(chunk) は何度呼んでもよい（クォートや \r\n がチャンクをまたいでもよい）
+ * - 行末は \r\n / \n / \r のどれでもよい。クォート内の改行は \n にそろえる
+ * - 先頭の BOM は読み飛ばす
+ * - クォートの崩れは errors に 1 始まりの行・列で記録し、できるだけ文字として読み進める
+ */
+function createCsvParser(delimiter = ",") {
+    const rows = [];
+    const errors = [];
+    let errorCount = 0;
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    // 閉じクォートの直後（次は区切りか改行のはず）
+    let afterQuote = false;
+    // 直前が \r だった（続く \n は同じ改行として読み飛ばす）
+    let pendingCR = false;
+    let started = false;
+    let quoteStart = null;
+
+    const report = (code, at = { row: rows.length + 1, col: row.length + 1 }) => {
+        errorCount++;
+        if (errors.length < MAX_DIAGNOSTIC_ITEMS) errors.push({ code, ...at });
+    };
+    const endField = () => {
+        row.push(field);
+        field = "";
+        afterQuote = false;
+    };
+    const endRow = () => {
+        endField();
+        rows.push(row);
+        row = [];
+    };
+
+    return {
+        push(chunk) {
+            let text = String(chunk ?? "");
+            if (!started && text.length > 0) {
+                started = true;
+                if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+            }
+
+            for (let i = 0; i < text.length; i++) {
+                const ch = text[i];
+                if (pendingCR) {
+                    pendingCR = false;
+                    if (ch === "\n") continue;
+                }
+
+                if (inQuotes) {
+                    if (ch === '"') {
+                        inQuotes = false;
+                        afterQuote = true;
+                    } else if (ch === "\r") {
+                        field += "\n";
+                        pendingCR = true;
+                    } else {
+                        field += ch;
+                    }
+                    continue;
+                }
+
+                // "" はクォート内の " として扱う
+                if (afterQuote && ch === '"') {
+                    field += '"';
+                    inQuotes = true;
+                    afterQuote = false;
+                    continue;
+                }
+                if (ch === delimiter) {
+                    endField();
+                    continue;
+                }
+                if (ch === "\n" || ch === "\r") {
+                    endRow();
+                    pendingCR = ch === "\r";
+                    continue;
+                }
+                if (ch === '"') {
+                    if (field.length === 0 && !afterQuote) {
+                        inQuotes = true;
+                        quoteStart = { row: rows.length + 1, col: row.length + 1 };
+                        continue;
+                    }
+                    report("unexpected-quote");
+                    field += ch;
+                    continue;
+                }
+                if (afterQuote) {
+                    report("text-after-quote");
+                    afterQuote = false;
+                }
+                field += ch;
+            }
+        },
+
+        finish() {
+            if (inQuotes) report("unterminated-quote", quoteStart);
+            endRow();
+
+            // 末尾の空行を削除
+            while (rows.length > 0) {
+                const last = rows[rows.length - 1];
+                const allEmpty = last.every((c) => (c ?? "").trim() === "");
+                if (!allEmpty) break;
+                rows.pop();
+            }
+            return { rows, errors, errorCount };
+        }
+    };
+}
+
+/**
+ * 区切り文字（, / タブ / ;）を先頭の数十行から推定する。
+ * クォートの外にある候補文字の数が、多くの行でそろっているものを選ぶ（同点ならカンマ）。
+ */
+function detectCsvDelimiter(text) {
+    const lines = String(text ?? "")
+        .slice(0, 64 * 1024)
+        .replace(/^\uFEFF/, "")
+        .split(/\r\n|\n|\r/)
+        .filter((line) => line.length > 0)
+        .slice(0, 50);
+
+    let best = ",";
+    let bestScore = 0;
+    for (const delimiter of [",", "\t", ";"]) {
+        const counts = lines.map((line) => {
+            let n = 0;
+            let quoted = false;
+            for (const ch of line) {
+                if (ch === '"') quoted = !quoted;
+                else if (ch === delimiter && !quoted) n++;
+            }
+            return n;
+        });
+        const first = counts.find((n) => n > 0);
+        if (first === undefined) continue;
+        const score = counts.filter((n) => n === first).length;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * CSV を一度に読む。delimiter が "auto" なら区切り文字を推定する。
+ * 戻り値: { rows, errors, errorCount, delimiter }
+ */
+function parseCsvDetailed(text, delimiter = "auto") {
+    const d = delimiter === "auto" ? detectCsvDelimiter(text) : delimiter;
+    const parser = createCsvParser(d);
+    parser.push(text);
+    return { ...parser.finish(), delimiter: d };
+}
+
+/**
+ * CSV を行の配列にする（エラー情報が要らない呼び出し元用）。
+ */
+function parseCsv(text, delimiter = "auto") {
+    return parseCsvDetailed(text, delimiter).rows;
+}
+
+/**
+ * 大きな CSV を分割して読み、合間に処理を譲る（service worker を長く塞がないように）。
+ */
+async function parseCsvIncremental(text, delimiter = "auto") {
+    const body = String(text ?? "");
+    const d = delimiter === "auto" ? detectCsvDelimiter(body) : delimiter;
+    const parser = createCsvParser(d);
+    for (let i = 0; i < body.length; i += CSV_CHUNK_SIZE) {
+        parser.push(body.slice(i, i + CSV_CHUNK_SIZE));
+        if (i + CSV_CHUNK_SIZE < body.length) await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    return { ...parser.finish(), delimiter: d };
+}
+
+/**
+ * ローカルファイルのバイト列を文字列にする。
+ * encoding が "auto" の場合は BOM → UTF-8 → Shift_JIS / EUC-JP の順に試し、
+ * 日本語の表として不自然な文字（置換文字・半角カナ）が少ない方を選ぶ。
+ */
+function decodeTextBytes(bytes, encoding = "auto") {
+    if (encoding && encoding !== "auto") {
+        return { text: new TextDecoder(encoding).decode(bytes), encoding };
+    }
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return { text: new TextDecoder("utf-8").decode(bytes), encoding: "utf-8" };
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return { text: new TextDecoder("utf-16le").decode(bytes), encoding: "utf-16le" };
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return { text: new TextDecoder("utf-16be").decode(bytes), encoding: "utf-16be" };
+
+    try {
+        return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "utf-8" };
+    } catch {
+        // UTF-8 として不正なバイト列 → 日本語の旧来の文字コードを試す
+    }
+
+    const oddness = (text) => {
+        let n = 0;
+        for (const ch of text) {
+            const c = ch.codePointAt(0);
+            if (c === 0xfffd) n += 10;
+            else if (c >= 0xff61 && c <= 0xff9f) n += 1;
+        }
+        return n;
+    };
+    let best = null;
+    for (const candidate of ["shift_jis", "euc-jp"]) {
+        const text = new TextDecoder(candidate).decode(bytes);
+        const score = oddness(text);
+        if (!best || score < best.score) best = { text, encoding: candidate, score };
+    }
+    return { text: best.text, encoding: best.encoding };
+}
+
+/**
+ * Google スプレッドシートの gviz（/gviz/tq?tqx=out:json）応答を行の配列にする。
+ * 応答は google.visualization.Query.setResponse({...}); の形の JavaScript なので、括弧の中だけを JSON として読む。
+ * 数値のセルは表示形式（桁区切りなど）ではなく値そのものを使う。
+ */
+function parseGvizResponse(text) {
+    const body = String(text ?? "");
+    const start = body.indexOf("(");
+    const end = body.lastIndexOf(")");
+    let json;
+    try {
+        json = JSON.parse(start >= 0 && end > start ? body.slice(start + 1, end) : body);
+    } catch (e) {
+        throw new Error(`Invalid gviz response: ${String(e?.message ?? e)}`);
+    }
+    if (json?.status === "error") {
+        const detail = json.errors?.[0]?.detailed_message ?? json.errors?.[0]?.message ?? "unknown";
+        throw new Error(`gviz error: ${detail}`);
+    }
+
+    const cellText = (c) => {
+        const v = c?.v;
+        if (v === null || v === undefined) return c?.f ?? "";
+        if (typeof v === "number") return String(v);
+        if (typeof v === "boolean") return v ? "TRUE" : "FALSE";
+        // 日付は "Date(2020,0,1)" になるので表示形式の方を使う
+        if (typeof v === "string" && !/^Date\(/.test(v)) return v;
+        return c?.f ?? String(v);
+    };
+
+    const table = json?.table ?? {};
+    const rows = (table.rows ?? []).map((r) => (r?.c ?? []).map(cellText));
+    // 見出し行を列ラベルとして解釈された場合は、1行目として戻す（CSV と同じ並びにする）
+    const labels = (table.cols ?? []).map((c) => String(c?.label ?? ""));
+    if (labels.some((l) => l.trim().length > 0)) rows.unshift(labels);
+    return rows;
+}
+
+function base64ToBytes(base64) {
+    const bin = atob(String(base64 ?? ""));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * ZIP（XLSX / ODS の入れ物）からファイルを取り出す。
+ * 中央ディレクトリだけを読み、必要なファイルを名前で取り出せるようにする。
+ */
+function openZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error("Not a ZIP file");
+
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    const utf8 = new TextDecoder("utf-8");
+    const entries = new Map();
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Broken ZIP central directory");
+        const method = view.getUint16(p + 10, true);
+        const compressedSize = view.getUint32(p + 20, true);
+        const nameLength = view.getUint16(p + 28, true);
+        const extraLength = view.getUint16(p + 30, true);
+        const commentLength = view.getUint16(p + 32, true);
+        const localOffset = view.getUint32(p + 42, true);
+        const name = utf8.decode(bytes.subarray(p + 46, p + 46 + nameLength));
+        entries.set(name, { method, compressedSize, localOffset });
+        p += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const readText = async (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        const o = entry.localOffset;
+        if (view.getUint32(o, true) !== 0x04034b50) throw new Error(`Broken ZIP entry: ${name}`);
+        const start = o + 30 + view.getUint16(o + 26, true) + view.getUint16(o + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+        if (entry.method === 0) return utf8.decode(data);
+        if (entry.method !== 8) throw new Error(`Unsupported ZIP compression (${entry.method}): ${name}`);
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        return utf8.decode(await new Response(stream).arrayBuffer());
+    };
+
+    return { has: (name) => entries.has(name), readText };
+}
+
+function decodeXmlText(s) {
+    return String(s ?? "").replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (m, e) => {
+        if (e === "lt") return "<";
+        if (e === "gt") return ">";
+        if (e === "amp") return "&";
+        if (e === "quot") return '"';
+        if (e === "apos") return "'";
+        const code = e[1] === "x" ? Number.parseInt(e.slice(2), 16) : Number.parseInt(e.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    });
+}
+
+function xmlAttr(attrs, name) {
+    const m = String(attrs ?? "").match(new RegExp(`(?:^|\\s)${name.replace(/[.:]/g, "\\$&")}="([^"]*)"`));
+    return m ? decodeXmlText(m[1]) : undefined;
+}
+
+// xlsx の空き行を埋める上限（これより長い空きは詰める）
+const MAX_XLSX_ROW_GAP = 100;
+
+/**
+ * XLSX のシートを { name, rows } の配列にする。
+ * service worker では DOMParser が使えないため、必要な要素だけを正規表現で拾う。
+ */
+async function parseXlsxSheets(zip) {
+    const workbook = await zip.readText("xl/workbook.xml");
+    if (!workbook) throw new Error("xl/workbook.xml not found");
+    const rels = (await zip.readText("xl/_rels/workbook.xml.rels")) ?? "";
+
+    const targets = {};
+    for (const m of rels.matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+        const id = xmlAttr(m[1], "Id");
+        const target = xmlAttr(m[1], "Target");
+        if (id && target) targets[id] = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    }
+
+    // 共有文字列。ふりがな（rPh）の中の t は本文ではないので除く
+    const shared = [];
+    const sst = (await zip.readText("xl/sharedStrings.xml")) ?? "";
+    for (const m of sst.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+        const body = m[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, "");
+        shared.push([...body.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((t) => decodeXmlText(t[1])).join(""));
+    }
+
+    const sheets = [];
+    for (const m of workbook.matchAll(/<sheet\b([^>]*?)\/?>/g)) {
+        const name = xmlAttr(m[1], "name") ?? "";
+        const path = targets[xmlAttr(m[1], "r:id")];
+        const xml = path ? await zip.readText(path) : null;
+        if (!xml) continue;
+
+        // 行番号（r 属性）は飛び飛びでよいので、そのまま添字にせず [行の位置, セル] で集めてから並べ直す
+        const indexedRows = [];
+        let nextRowIndex = 0;
+        for (const r of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const rowNumber = Number.parseInt(xmlAttr(r[1], "r") ?? "", 10);
+            const rowIndex = Number.isFinite(rowNumber) && rowNumber > 0 ? rowNumber - 1 : nextRowIndex;
+            nextRowIndex = rowIndex + 1;
+            const cols = [];
+            let nextColIndex = 0;
+            for (const c of (r[2] ?? "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const ref = xmlAttr(c[1], "r") ?? "";
+                const letters = ref.match(/^[A-Z]+/)?.[0];
+                // 列記号は columnLetterToIndex が読める ZZ 列まで（それより右のセルは捨てる）
+                const colIndex = letters ? columnLetterToIndex(letters) : nextColIndex;
+                if (colIndex >= 0) nextColIndex = colIndex + 1;
+                const type = xmlAttr(c[1], "t");
+                const inner = c[2] ?? "";
+                const v = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+                let value = "";
+                if (type === "s") value = shared[Number.parseInt(v ?? "", 10)] ?? "";
+                else if (type === "inlineStr") {
+                    value = [...inner.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((t) => decodeXmlText(t[1])).join("");
+                } else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+                else value = decodeXmlText(v ?? "");
+                if (colIndex >= 0) cols[colIndex] = value;
+            }
+            if (cols.length > 0) indexedRows.push([rowIndex, Array.from(cols, (x) => x ?? "")]);
+        }
+        indexedRows.sort((a, b) => a[0] - b[0]);
+
+        // 空き行は診断の行番号がずれないように空の行で埋めるが、長い空きは MAX_XLSX_ROW_GAP 行に詰める
+        // （1048576 行目に1セルだけのシートなどで、巨大な配列を作らないように）
+        const rows = [];
+        let lastRowIndex = -1;
+        for (const [rowIndex, cols] of indexedRows) {
+            const gap = Math.min(rowIndex - lastRowIndex - 1, MAX_XLSX_ROW_GAP);
+            for (let i = 0; i < gap; i++) rows.push([]);
+            rows.push(cols);
+            lastRowIndex = rowIndex;
+        }
+        sheets.push({ name, rows });
+    }
+    return sheets;
+}
+
+// ODS の繰り返し指定（空セル・空行が何千と続く）をそのまま展開しないための上限
+const MAX_ODS_REPEAT = 1000;
+
+/**
+ * ODS（OpenDocument スプレッドシート）の content.xml を { name, rows } の配列にする。
+ */
+async function parseOdsSheets(zip) {
+    const content = await zip.readText("content.xml");
+    if (!content) throw new Error("content.xml not found");
+
+    const cellText = (inner) => {
+        const paragraphs = [...String(inner ?? "").matchAll(/<text:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/text:p>)/g)];
+        return paragraphs
+            .map((p) =>
+                decodeXmlText(
+                    String(p[1] ?? "")
+                        .replace(/<text:s\b([^>]*?)\/>/g, (_, a) => " ".repeat(Number.parseInt(xmlAttr(a, "text:c") ?? "1", 10) || 1))
+                        .replace(/<text:tab\b[^>]*\/>/g, "\t")
+                        .replace(/<text:line-break\b[^>]*\/>/g, "\n")
+                        .replace(/<[^>]+>/g, "")
+                )
+            )
+            .join("\n");
+    };
+
+    const sheets = [];
+    for (const t of content.matchAll(/<table:table\b([^>]*?)>([\s\S]*?)<\/table:table>/g)) {
+        const name = xmlAttr(t[1], "table:name") ?? "";
+        const rows = [];
+        let pendingEmptyRows = 0;
+        for (const r of t[2].matchAll(/<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g)) {
+            const cols = [];
+            let pendingEmptyCells = 0;
+            const cellRe = /<table:(table-cell|covered-table-cell)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:\1>)/g;
+            for (const c of (r[2] ?? "").matchAll(cellRe)) {
+                const repeat = Number.parseInt(xmlAttr(c[2], "table:number-columns-repeated") ?? "1", 10) || 1;
+                const text = c[3] ? cellText(c[3]) : "";
+                if (!text) {
+                    // 後ろに値のあるセルが来たときだけ空セルを埋める
+                    pendingEmptyCells += repeat;
+                    continue;
+                }
+                for (; pendingEmptyCells > 0; pendingEmptyCells--) cols.push("");
+                for (let i = 0; i < Math.min(repeat, MAX_ODS_REPEAT); i++) cols.push(text);
+            }
+
+            const repeat = Number.parseInt(xmlAttr(r[1], "table:number-rows-repeated") ?? "1", 10) || 1;
+            if (cols.length === 0) {
+                pendingEmptyRows += repeat;
+                continue;
+            }
+            for (; pendingEmptyRows > 0; pendingEmptyRows--) rows.push([]);
+            for (let i = 0; i < Math.min(repeat, MAX_ODS_REPEAT); i++) rows.push(cols.slice());
+        }
+        sheets.push({ name, rows });
+    }
+    return sheets;
+}
+
+/**
+ * ローカルファイル（XLSX / ODS / CSV / TSV / gviz JSON）を { format, sheets: [{ name, rows }] } にする。
+ * テキストのファイルは encoding（"auto" なら推定）で文字列にし、CSV の場合は sheets[0].csv に区切り文字とエラーを付ける。
+ */
+async function parseSheetFile(fileName, bytes, encoding = "auto") {
+    const name = String(fileName ?? "");
+    const ext = name.toLowerCase().match(/\.([a-z0-9]+)$/)?.[1] ?? "";
+
+    // PK\x03\x04 で始まれば ZIP（XLSX / ODS）
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+        const zip = openZip(bytes);
+        if (zip.has("xl/workbook.xml")) return { format: "xlsx", sheets: await parseXlsxSheets(zip) };
+        if (zip.has("content.xml")) return { format: "ods", sheets: await parseOdsSheets(zip) };
+        throw new Error("Unsupported ZIP file (expected .xlsx or .ods)");
+    }
+
+    const decoded = decodeTextBytes(bytes, encoding);
+    const text = decoded.text;
+    if (ext === "json" || /google\.visualization\.Query\.setResponse/.test(text.slice(0, 200))) {
+        return { format: "gviz", encoding: decoded.encoding, sheets: [{ name, rows: parseGvizResponse(text) }] };
+    }
+    const parsed = await parseCsvIncremental(text, ext === "tsv" ? "\t" : "auto");
+    return {
+        format: parsed.delimiter === "\t" ? "tsv" : "csv",
+        encoding: decoded.encoding,
+        sheets: [
+            {
+                name,
+                rows: parsed.rows,
+                csv: { delimiter: parsed.delimiter, errorCount: parsed.errorCount, errors: parsed.errors }
+            }
+        ]
+    };
+}
+
+/**
+ * validators（前回の ETag / Last-Modified）があれば条件付きリクエストにする。
+ * 304 の場合は { notModified: true } を返すので、呼び出し側で前回分を使うこと。
+ */
+async function fetchFirstWorkingCsv(url, validators) {
+    let lastError = null;
+
+    try {
+        const headers = {};
+        if (validators?.etag) headers["If-None-Match"] = validators.etag;
+        if (validators?.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+
+        const res = await fetch(url, { cache: "no-store", headers });
+        const etag = res.headers?.get?.("ETag") ?? undefined;
+        const lastModified = res.headers?.get?.("Last-Modified") ?? undefined;
+
+        if (res.status === 304) {
+            return { url, notModified: true, status: res.status, etag, lastModified };
+        }
+
+        const text = await res.text();
+
+        if (!res.ok) {
+            const err = new Error(`HTTP ${res.status} ${res.statusText}`);
+            err.status = res.status;
+            err.url = url;
+            err.bodySnippet = (text ?? "").slice(0, 300);
+            throw err;
+        }
+
+        if (!text || text.trim().length === 0) {
+            const err = new Error("Empty CSV");
+            err.status = res.status;
+            err.url = url;
+            throw err;
+        }
+
+        // 公開されていない/認証が必要な場合、HTML(ログインページ等)が返ることがある
+        const head = text.slice(0, 2000).toLowerCase();
+        if (head.includes("<html") || head.includes("<!doctype html")) {
+            const err = new Error("Non-CSV response (HTML). Spreadsheet may require sign-in or is not published.");
+            err.status = res.status;
+            err.url = url;
+            err.bodySnippet = (text ?? "").slice(0, 300);
+            throw err;
+        }
+
+        return { url, text, status: res.status, etag, lastModified };
+    } catch (e) {
+        lastError = e;
+    }
+
+    throw lastError ?? new Error("CSV fetch failed");
+}
+
+/**
+ * シートの行から対応表を作る。
+ * diagnostics にオブジェクトを渡すと、どの形式で読んだか・読み飛ばした行・
+ * 値の食い違う重複キーなどを書き込む（行番号はシート上の 1 始まり）。
+ */
+function mappingFromRows(rows, diagnostics = null) {
+    // A=0, B=1
+    const mapping = {};
+    // キーごとに「どの行でどの値が入ったか」を覚えておき、後から重複を報告する
+    const assignments = new Map();
+    const assign = (from, to, row) => {
+        mapping[from] = to;
+        if (!diagnostics) return;
+        const list = assignments.get(from);
+        if (list) list.push({ row, value: to });
+        else assignments.set(from, [{ row, value: to }]);
+    };
+    let mode = "rows";
+    let packedLengthMismatch = null;
+    let blankRows = 0;
+    const skippedRows = [];
+
+    const isNonNegativeIntegerString = (s) => /^\d+$/.test(String(s ?? "").trim());
+
+    const getCell = (cols, index) => {
+        if (!cols || index < 0 || index >= cols.length) return "";
+        return String(cols[index] ?? "");
+    };
+
+    const looksLikePackedFirstRow = (firstRowA) => {
+        const trimmed = String(firstRowA ?? "").trim();
+        if (!trimmed) return false;
+        const tokens = trimmed.split(/[\s\u3000]+/).filter(Boolean);
+        // 1セルに大量の暗号トークンが入っているケースのみ packed とみなす
+        return tokens.length >= 100;
+    };
+
+    // 1) 行形式: A列=平文文字, B列=数値インデックス（0..N-1） を収集
+    //    例: "ァ","0" のような行
+    const plainByIndex = new Map();
+    let maxIndex = -1;
+    for (let i = 0; i < rows.length; i++) {
+        const cols = rows[i];
+        if (!cols || cols.length < 2) continue;
+        const a = getCell(cols, 0).trim();
+        const b = getCell(cols, 1).trim();
+        if (!a || !b) continue;
+        if (!isNonNegativeIntegerString(b)) continue;
+
+        const idx = Number.parseInt(b, 10);
+        if (!Number.isFinite(idx) || idx < 0) continue;
+        plainByIndex.set(idx, a);
+        if (idx > maxIndex) maxIndex = idx;
+    }
+
+    // 2) packed形式: 1行目に
+    //    - A列: 暗号文字（空白区切り）
+    //    - B列: 復号文字列（空白区切り）
+    //    が同じ並びで入っている。
+    //    例: "一 丁 ..." / "こ コ？ ..." のように、位置 i 同士を対応付ける。
+    //
+    //    （フォールバック）もしB列のpackedが無い場合のみ、従来の i%N（同音換字）方式を使う。
+    const firstRowA = getCell(rows?.[0], 0);
+    const packed = looksLikePackedFirstRow(firstRowA);
+    if (packed) {
+        const firstRowB = getCell(rows?.[0], 1);
+        const cipherTokens = firstRowA.trim().split(/[\s\u3000]+/).filter(Boolean);
+        const plainTokens = String(firstRowB ?? "")
+            .trim()
+            .split(/[\s\u3000]+/)
+            .filter(Boolean);
+
+        // packed B列がある場合は、それを「暗号トークン列の先頭から順に対応する直接置換値」として扱う。
+        // （B列がA列と同数である保証はないため、B列の長さ分だけ対応付ける）
+        const hasPackedDirect = plainTokens.length >= 100;
+
+        if (hasPackedDirect) {
+            mode = "packed";
+            if (cipherTokens.length !== plainTokens.length) {
+                packedLengthMismatch = { cipher: cipherTokens.length, plain: plainTokens.length };
+            }
+            const len = Math.min(cipherTokens.length, plainTokens.length);
+            for (let i = 0; i < len; i++) {
+                const from = cipherTokens[i];
+                const to = plainTokens[i];
+                if (!from || !to) continue;
+                assign(from, to, 1);
+            }
+        } else {
+            // フォールバック（旧方式）: 暗号リストの位置 i の復号は (i % N)
+            // ※ユーザー要望「中間に仮名は使わない」には反するため、B列packedが無い場合のみ使う。
+            const base = maxIndex >= 0 ? maxIndex + 1 : 0;
+            if (plainByIndex.size >= 10 && base > 0) {
+                mode = "packed-modulo";
+                for (let i = 0; i < cipherTokens.length; i++) {
+                    const from = cipherTokens[i];
+                    const to = plainByIndex.get(i % base);
+                    if (!from || !to) continue;
+                    assign(from, to, 1);
+                }
+            } else {
+                mode = "packed-unused";
+            }
+        }
+    }
+
+    // 3) 直接置換(A->B)
+    //    - B列が数値の行（例: ソ,28）も直接置換として扱う
+    //    - 1行目が packed の巨大セルの場合のみ、そのセルは除外（他の行は通常通り）
+    for (let i = 0; i < rows.length; i++) {
+        const cols = rows[i];
+        if (packed && i === 0) continue;
+        if (!cols || cols.every((c) => String(c ?? "").trim().length === 0)) {
+            blankRows++;
+            continue;
+        }
+        if (cols.length < 2) {
+            skippedRows.push({ row: i + 1, reason: "no-value-column" });
+            continue;
+        }
+
+        const from = getCell(cols, 0).trim();
+        const toRaw = getCell(cols, 1);
+        const to = toRaw.trim();
+        if (!from || !to) {
+            skippedRows.push({ row: i + 1, reason: from ? "empty-value" : "empty-key" });
+            continue;
+        }
+
+        assign(from, to, i + 1);
+    }
+
+    if (diagnostics) {
+        fillRowDiagnostics(diagnostics, { mode, rows, blankRows, skippedRows, assignments, mapping });
+        diagnostics.packedLengthMismatch = packedLengthMismatch;
+    }
+
+    return mapping;
+}
+
+function fillRowDiagnostics(diagnostics, { mode, rows, blankRows, skippedRows, assignments, mapping }) {
+    const duplicates = [];
+    for (const [key, list] of assignments) {
+        if (new Set(list.map((a) => a.value)).size < 2) continue;
+        // 使われる行は priority の大きい行（同じなら後の行）。見出しの無い表は priority が無いので最後の行
+        const winner = list.reduce((best, a) => ((a.priority ?? 0) >= (best.priority ?? 0) ? a : best));
+        duplicates.push({ key, entries: list.slice(0, 10), used: mapping[key], usedRow: winner.row });
+    }
+    Object.assign(diagnostics, {
+        mode,
+        rowCount: rows.length,
+        blankRows,
+        packedLengthMismatch: null,
+        skippedRowCount: skippedRows.length,
+        skippedRows: skippedRows.slice(0, MAX_DIAGNOSTIC_ITEMS),
+        duplicateCount: duplicates.length,
+        duplicates: duplicates.slice(0, MAX_DIAGNOSTIC_ITEMS)
+    });
+}
+
+// "A" → 0, "AB" → 27。列記号でなければ -1
+function columnLetterToIndex(text) {
+    const s = String(text ?? "").trim().toUpperCase();
+    if (!/^[A-Z]{1,2}$/.test(s)) return -1;
+    let n = 0;
+    for (const ch of s) n = n * 26 + (ch.charCodeAt(0) - 64);
+    return n - 1;
+}
+
+/**
+ * ソースの列指定と1行目の見出しから、各役割の列番号を決める。
+ * 見出しも列指定も無い場合は null（従来のヒューリスティクスで読む）。
+ */
+function resolveSheetSchema(rows, schema) {
+    const { header, columns } = normalizeSchema(schema);
+    const firstRow = (rows?.[0] ?? []).map((c) => String(c ?? "").trim().toLowerCase());
+
+    // 見出し名で探した列（列指定が見出し名ならそれを、無ければ既定の列名を使う）
+    const byHeader = {};
+    for (const field of SCHEMA_FIELDS) {
+        const spec = columns[field];
+        const names = spec && columnLetterToIndex(spec) < 0 ? [spec.toLowerCase()] : SCHEMA_HEADER_ALIASES[field];
+        const idx = firstRow.findIndex((c) => names.includes(c));
+        if (idx >= 0) byHeader[field] = idx;
+    }
+
+    const hasHeader =
+        header === "yes" || (header === "auto" && byHeader.cipher !== undefined && byHeader.plain !== undefined);
+    if (!hasHeader && Object.keys(columns).length === 0) return null;
+
+    const resolved = {};
+    const unresolved = [];
+    for (const field of SCHEMA_FIELDS) {
+        const letter = columnLetterToIndex(columns[field]);
+        if (letter >= 0) resolved[field] = letter;
+        else if (hasHeader && byHeader[field] !== undefined) resolved[field] = byHeader[field];
+        else if (columns[field]) unresolved.push(field);
+    }
+
+    if (resolved.cipher === undefined || resolved.plain === undefined) {
+        const missing = ["cipher", "plain"].filter((f) => resolved[f] === undefined).join(", ");
+        return { ok: false, hasHeader, unresolved, error: `Column not found: ${missing}` };
+    }
+    return { ok: true, hasHeader, columns: resolved, unresolved };
+}
+
+/**
+ * 繰り返しの付いたグループの中にさらに繰り返し（* + {n,}）がある正規表現（(a+)+ など）か。
+ * 一致しないときの後戻りが文字数に対して指数的に増えるので、全ページの本文にかけるルールでは使わせない。
+ */
+function hasNestedQuantifier(source) {
+    // グループごとに、中に繰り返しがあるか
+    const groups = [];
+    let inClass = false;
+    // 直前の要素が、繰り返しを含むグループだったか
+    let lastGroupRepeats = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === "\\") {
+            i++;
+            lastGroupRepeats = false;
+            continue;
+        }
+        if (inClass) {
+            if (ch === "]") inClass = false;
+            continue;
+        }
+        let repeat = ch === "*" || ch === "+";
+        if (ch === "{") {
+            const brace = source.slice(i).match(/^\{\d*,\d*\}/);
+            if (brace) {
+                repeat = true;
+                i += brace[0].length - 1;
+            }
+        }
+        if (repeat) {
+            if (lastGroupRepeats) return true;
+            if (groups.length > 0) groups[groups.length - 1] = true;
+            lastGroupRepeats = false;
+            continue;
+        }
+        if (ch === "(") {
+            groups.push(false);
+        } else if (ch === ")") {
+            lastGroupRepeats = groups.pop() ?? false;
+            if (lastGroupRepeats && groups.length > 0) groups[groups.length - 1] = true;
+            continue;
+        } else if (ch === "[") {
+            inClass = true;
+        }
+        if (ch !== "?") lastGroupRepeats = false;
+    }
+    return false;
+}
+
+/**
+ * rule 列の条件から、content script でそのまま使える正規表現を組み立てる。
+ * 条件は空白か ; で区切る（例: "regex after:[ゃゅょ]"、"語頭"）。
+ * 長すぎる・入れ子の繰り返しがある正規表現は、全ページで重くならないよう reason: "unsafe-rule" で断る。
+ * 戻り値: { ok: true, source } / { ok: false, error, reason? }
+ */
+function compileRuleSpec(spec, pattern) {
+    let regex = false;
+    let start = false;
+    let end = false;
+    let before = "";
+    let after = "";
+    for (const token of String(spec ?? "").split(/[\s;]+/).filter(Boolean)) {
+        const lower = token.toLowerCase();
+        const context = Object.entries(RULE_CONTEXT_PREFIXES).find(([, prefixes]) =>
+            prefixes.some((p) => lower.startsWith(p))
+        );
+        if (context) {
+            const value = token.slice(token.indexOf(":") + 1);
+            if (context[0] === "before") before = value;
+            else after = value;
+        } else if (RULE_FLAG_ALIASES.regex.includes(lower)) regex = true;
+        else if (RULE_FLAG_ALIASES.literal.includes(lower)) regex = false;
+        else if (RULE_FLAG_ALIASES.start.includes(lower)) start = true;
+        else if (RULE_FLAG_ALIASES.end.includes(lower)) end = true;
+        else return { ok: false, error: `Unknown rule: ${token}` };
+    }
+
+    if ((regex ? pattern.length : 0) + before.length + after.length > MAX_RULE_REGEX_LENGTH) {
+        return { ok: false, reason: "unsafe-rule", error: `Pattern is longer than ${MAX_RULE_REGEX_LENGTH} characters` };
+    }
+    const core = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const source = [
+        start ? `(?<=^|${RULE_WORD_BOUNDARY})` : "",
+        before ? `(?<=${before})` : "",
+        `(?:${core})`,
+        after ? `(?=${after})` : "",
+        end ? `(?=$|${RULE_WORD_BOUNDARY})` : ""
+    ].join("");
+    try {
+        new RegExp(source, "gu");
+        if (new RegExp(`^(?:${core})$`, "u").test("")) return { ok: false, error: "Pattern matches empty text" };
+        if (hasNestedQuantifier(source)) {
+            return { ok: false, reason: "unsafe-rule", error: "Nested quantifier (e.g. (a+)+) can be too slow" };
+        }
+    } catch (e) {
+        return { ok: false, error: String(e?.message ?? e) };
+    }
+    return { ok: true, source };
+}
+
+/**
+ * 列の役割が決まっているシートを読む。
+ * 同じ暗号が複数行にある場合は priority の大きい行を使う（同じなら後の行）。
+ * rule 列に条件がある行は対応表に入れず、rules（priority の大きい順、同じなら上の行から）に回す。
+ */
+function mappingFromSchemaRows(rows, schema, diagnostics = null) {
+    const mapping = {};
+    const meta = {};
+    const rules = [];
+    const priorities = {};
+    const assignments = new Map();
+    const skippedRows = [];
+    let blankRows = 0;
+
+    const cell = (cols, field) => {
+        const index = schema.columns[field];
+        return index === undefined ? "" : String(cols?.[index] ?? "").trim();
+    };
+
+    for (let i = schema.hasHeader ? 1 : 0; i < rows.length; i++) {
+        const cols = rows[i];
+        if (!cols || cols.every((c) => String(c ?? "").trim().length === 0)) {
+            blankRows++;
+            continue;
+        }
+
+        const from = cell(cols, "cipher");
+        const to = cell(cols, "plain");
+        if (!from || !to) {
+            skippedRows.push({ row: i + 1, reason: from ? "empty-value" : "empty-key" });
+            continue;
+        }
+
+        const p = Number.parseFloat(cell(cols, "priority"));
+        const priority = Number.isFinite(p) ? p : 0;
+        const m = {};
+        for (const field of SCHEMA_META_FIELDS) {
+            const v = cell(cols, field);
+            if (v) m[field] = v;
+        }
+
+        const spec = cell(cols, "rule");
+        if (spec) {
+            const compiled = compileRuleSpec(spec, from);
+            if (!compiled.ok) {
+                skippedRows.push({ row: i + 1, reason: compiled.reason ?? "invalid-rule", detail: compiled.error });
+                continue;
+            }
+            rules.push({
+                key: from,
+                rule: spec,
+                source: compiled.source,
+                replacement: to,
+                priority,
+                row: i + 1,
+                ...(Object.keys(m).length > 0 ? { meta: m } : {})
+            });
+            continue;
+        }
+
+        const entry = priority !== 0 ? { row: i + 1, value: to, priority } : { row: i + 1, value: to };
+        const list = assignments.get(from);
+        if (list) list.push(entry);
+        else assignments.set(from, [entry]);
+
+        if (Object.prototype.hasOwnProperty.call(priorities, from) && priorities[from] > priority) continue;
+        priorities[from] = priority;
+        mapping[from] = to;
+
+        if (Object.keys(m).length > 0) meta[from] = m;
+        else delete meta[from];
+    }
+
+    if (diagnostics) {
+        fillRowDiagnostics(diagnostics, { mode: "schema", rows, blankRows, skippedRows, assignments, mapping });
+        diagnostics.hasHeader = schema.hasHeader;
+        diagnostics.schemaColumns = schema.columns;
+        if (schema.unresolved.length > 0) diagnostics.unresolvedColumns = schema.unresolved;
+        if (rules.length > 0) diagnostics.ruleCount = rules.length;
+    }
+
+    // sort は安定なので、同じ priority の中では上の行が先になる
+    rules.sort((a, b) => b.priority - a.priority);
+    return { mapping, meta, rules };
+}
+
+/**
+ * 1シート分の行を対応表にする。列指定・見出し行があればそれに従い、
+ * 無ければ（または必須列が見つからなければ）従来の mappingFromRows() で読む。
+ */
+function parseSheetRows(rows, source, diagnostics = null) {
+    const schema = resolveSheetSchema(rows, source?.schema);
+    if (schema?.ok) return mappingFromSchemaRows(rows, schema, diagnostics);
+
+    // 見出し行は空行として扱う（行番号をずらさないため）
+    const body = schema?.hasHeader ? [[], ...rows.slice(1)] : rows;
+    const mapping = mappingFromRows(body, diagnostics);
+    if (diagnostics && schema) diagnostics.schemaError = schema.error;
+    return { mapping, meta: {}, rules: [] };
+}
+
+/**
+ * 他のキーの先頭部分になっているキーを探す（最長一致で結果が変わる箇所）。
+ * 例: "一" と "一丁" が両方あると、"一丁" の位置では "一" は使われない。
+ */
+function findPrefixKeys(mapping) {
+    // 辞書順に並べると、あるキーで始まるキーはその直後に連続して並ぶ
+    const keys = Object.keys(mapping ?? {}).sort();
+    const out = [];
+    for (let i = 0; i < keys.length; i++) {
+        const longer = [];
+        for (let j = i + 1; j < keys.length && keys[j].startsWith(keys[i]); j++) longer.push(keys[j]);
+        if (longer.length > 0) out.push({ key: keys[i], longer: longer.slice(0, 5), longerCount: longer.length });
+    }
+    return out;
+}
+
+// 対応表のキーかルールが1件でもあるか（ルールだけのタブもある）
+function hasMappingEntries(entry) {
+    return Object.keys(entry?.mapping ?? {}).length > 0 || (entry?.rules?.length ?? 0) > 0;
+}
+
+function countDiagnosticWarnings(d) {
+    if (!d) return 0;
+    return (
+        (d.skippedRowCount ?? 0) +
+        (d.duplicateCount ?? 0) +
+        (d.packedLengthMismatch ? 1 : 0) +
+        (d.schemaError ? 1 : 0) +
+        (d.csv?.errorCount ?? 0) +
+        (d.unresolvedColumns?.length ?? 0) +
+        (d.mode === "packed-modulo" || d.mode === "packed-unused" ? 1 : 0)
+    );
+}
+
+/**
+ * ソースごとの診断（取得時に作ってキャッシュに持つ）と、合成後の対応表の前方一致キーをまとめて保存する。
+ */
+async function saveMappingDiagnostics(sources, cache, mapping) {
+    const perSource = sources.map((source) => {
+        const d = cache[source.id]?.diagnostics ?? null;
+        return {
+            id: source.id,
+            label: source.label,
+            role: source.role,
+            fetchedAt: cache[source.id]?.fetchedAt,
+            count: Object.keys(cache[source.id]?.mapping ?? {}).length,
+            warningCount: countDiagnosticWarnings(d),
+            ...(d ?? { mode: "unknown" })
+        };
+    });
+    const prefixKeys = findPrefixKeys(mapping);
+    const report = {
+        updatedAt: Date.now(),
+        sources: perSource,
+        prefixKeyCount: prefixKeys.length,
+        prefixKeys: prefixKeys.slice(0, MAX_DIAGNOSTIC_ITEMS),
+        warningCount: perSource.reduce((sum, s) => sum + s.warningCount, 0)
+    };
+    await chrome.storage.local.set({ [DIAGNOSTICS_KEY]: report });
+    return report;
+}
+
+async function loadLocalFiles() {
+    try {
+        const stored = await chrome.storage.local.get(LOCAL_FILES_KEY);
+        const files = stored?.[LOCAL_FILES_KEY];
+        return files && typeof files === "object" ? files : {};
+    } catch {
+        return {};
+    }
+}
+
+// 削除されたファイルソースの行を落とす（変化が無ければ書き込まない）
+async function pruneLocalFiles(sources) {
+    const files = await loadLocalFiles();
+    const alive = new Set(sources.filter((src) => src.kind === "file").map((src) => src.id));
+    const ids = Object.keys(files);
+    if (ids.every((id) => alive.has(id))) return;
+    await chrome.storage.local.set({
+        [LOCAL_FILES_KEY]: Object.fromEntries(Object.entries(files).filter(([id]) => alive.has(id)))
+    });
+}
+
+async function loadFileSourceMapping(candidate) {
+    const file = (await loadLocalFiles())[candidate.source.id];
+    if (!Array.isArray(file?.rows)) {
+        const err = new Error("Local file data is missing (import the file again)");
+        err.url = candidate.url;
+        throw err;
+    }
+    const diagnostics = {};
+    const { mapping, meta, rules } = parseSheetRows(file.rows, candidate.source, diagnostics);
+    if (file.csv) diagnostics.csv = file.csv;
+    return { source: candidate.source, url: candidate.url, mapping, meta, rules, diagnostics };
+}
+
+/**
+ * 設定ページから渡されたファイルを読み、ソースとして登録する（sourceId があればその行を差し替える）。
+ * ブックに複数のシートがあり sheetIndex が無い場合は、選べるようにシート名を返す。
+ */
+async function importSheetFile({ fileName, data, sheetIndex, role, sourceId, encoding }) {
+    let parsed;
+    try {
+        parsed = await parseSheetFile(fileName, base64ToBytes(data), encoding);
+    } catch (e) {
+        return { ok: false, error: String(e?.message ?? e) };
+    }
+    const sheets = parsed.sheets.filter((sh) => sh.rows.length > 0);
+    if (sheets.length === 0) return { ok: false, error: "No rows in file" };
+    if (sheets.length > 1 && sheetIndex === undefined) {
+        return { ok: false, needSheet: true, format: parsed.format, sheets: sheets.map((sh) => sh.name) };
+    }
+    const sheet = sheets[sheetIndex ?? 0];
+    if (!sheet) return { ok: false, error: "Sheet not found" };
+
+    const sources = await loadSources();
+    const existing = sourceId ? sources.find((src) => src.id === sourceId && src.kind === "file") : null;
+    const id = existing?.id ?? `file-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const source = normalizeSource({
+        ...(existing ?? {}),
+        id,
+        kind: "file",
+        label: existing?.label ?? (sheets.length > 1 ? `${fileName} / ${sheet.name}` : fileName),
+        fileName,
+        sheetName: sheet.name,
+        role: existing?.role ?? role,
+        enabled: existing?.enabled ?? true
+    });
+
+    const files = await loadLocalFiles();
+    const nextSources = existing ? sources.map((src) => (src.id === id ? source : src)) : [...sources, source];
+    // 行とソース一覧は一緒に保存する（ソース一覧の保存で refreshMapping が走る）
+    await chrome.storage.local.set({
+        [LOCAL_FILES_KEY]: {
+            ...files,
+            [id]: {
+                fileName,
+                format: parsed.format,
+                encoding: parsed.encoding,
+                sheetName: sheet.name,
+                rows: sheet.rows,
+                csv: sheet.csv,
+                importedAt: Date.now()
+            }
+        },
+        [SOURCES_KEY]: nextSources
+    });
+    // 同じファイルの読み直しではソース一覧が変わらないことがあるので、明示的に取り直す
+    requestRefresh();
+    return { ok: true, id, format: parsed.format, encoding: parsed.encoding, rowCount: sheet.rows.length };
+}
+
+async function fetchSourceMapping(candidate, cached) {
+    if (candidate.source.kind === "file") return loadFileSourceMapping(candidate);
+
+    // URL や列指定が変わった場合は前回の validators を使わない（読み直しが必要）
+    const schemaKey = JSON.stringify(normalizeSchema(candidate.source.schema));
+    const reusable = cached?.mapping && cached.url === candidate.url && cached.schemaKey === schemaKey ? cached : null;
+    const fetched = await fetchFirstWorkingCsv(candidate.url, reusable);
+    const validators = {
+        etag: fetched.etag ?? reusable?.etag,
+        lastModified: fetched.lastModified ?? reusable?.lastModified
+    };
+
+    if (fetched.notModified && reusable) {
+        return {
+            source: candidate.source,
+            url: fetched.url,
+            status: fetched.status,
+            mapping: reusable.mapping,
+            meta: reusable.meta,
+            rules: reusable.rules,
+            diagnostics: reusable.diagnostics,
+            schemaKey,
+            notModified: true,
+            ...validators
+        };
+    }
+    if (fetched.notModified) {
+        const err = new Error("HTTP 304 without cached mapping");
+        err.status = fetched.status;
+        err.url = fetched.url;
+        throw err;
+    }
+
+    let rows;
+    let csv = null;
+    if (candidate.source.format === "gviz") {
+        rows = parseGvizResponse(fetched.text);
+    } else {
+        // Google スプレッドシートの CSV 出力は常にカンマ区切り（セルの ; やタブで自動判定が外れないように固定する）
+        const parsed = await parseCsvIncremental(fetched.text, ",");
+        rows = parsed.rows;
+        csv = { delimiter: parsed.delimiter, errorCount: parsed.errorCount, errors: parsed.errors };
+    }
+    const diagnostics = {};
+    const { mapping, meta, rules } = parseSheetRows(rows, candidate.source, diagnostics);
+    if (csv) diagnostics.csv = csv;
+    return {
+        source: candidate.source,
+        url: fetched.url,
+        status: fetched.status,
+        mapping,
+        meta,
+        rules,
+        diagnostics,
+        schemaKey,
+        ...validators
+    };
+}
+
+/**
+ * 優先度順（先頭が最優先）に並んだレイヤーを1つの対応表にまとめる。
+ * 各キーがどのソース由来かを origins に、採用した行の付加情報（読み・備考など）を meta に記録する。
+ */
+function mergeMappingLayers(layers) {
+    const mapping = {};
+    const origins = {};
+    const meta = {};
+    // 優先度の低いものから順に上書きしていく
+    for (let i = layers.length - 1; i >= 0; i--) {
+        const layer = layers[i];
+        for (const [k, v] of Object.entries(layer.mapping ?? {})) {
+            mapping[k] = v;
+            origins[k] = layer.id;
+            if (layer.meta?.[k]) meta[k] = layer.meta[k];
+            else delete meta[k];
+        }
+    }
+    return { mapping, origins, meta };
+}
+
+/**
+ * 2つの対応表の差分（追加/削除/変更されたキー）を求める。
+ */
+function computeMappingDiff(prev, next) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const before = prev ?? {};
+    const after = next ?? {};
+
+    for (const [k, v] of Object.entries(after)) {
+        if (!Object.prototype.hasOwnProperty.call(before, k)) added.push({ key: k, to: v });
+        else if (before[k] !== v) changed.push({ key: k, from: before[k], to: v });
+    }
+    for (const [k, v] of Object.entries(before)) {
+        if (!Object.prototype.hasOwnProperty.call(after, k)) removed.push({ key: k, from: v });
+    }
+
+    return { added, removed, changed };
+}
+
+function isEmptyDiff(diff) {
+    return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+async function loadMappingHistory() {
+    try {
+        const stored = await chrome.storage.local.get(HISTORY_KEY);
+        const list = stored?.[HISTORY_KEY];
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * 役割の優先順（固有名詞 > 語句 > 文字）に並べ替える。同じ役割の中ではソースの並び順を保つ。
+ */
+function orderLayersByRole(layers) {
+    const rank = (layer) => {
+        const i = SOURCE_ROLES.indexOf(layer.role ?? DEFAULT_SOURCE_ROLE);
+        return i >= 0 ? i : SOURCE_ROLES.length;
+    };
+    return layers
+        .map((layer, index) => ({ layer, index }))
+        .sort((a, b) => rank(a.layer) - rank(b.layer) || a.index - b.index)
+        .map((x) => x.layer);
+}
+
+/**
+ * 各レイヤーのルールを優先順に並べる（レイヤーの並び → シート内の並び）。
+ * どのソース由来かを sourceId に入れておく。
+ */
+function collectRules(layers) {
+    const out = [];
+    for (const layer of layers) {
+        for (const rule of layer.rules ?? []) out.push({ ...rule, sourceId: layer.id });
+    }
+    return out;
+}
+
+/**
+ * キーの一覧からトライ木を作り、storage に入れられる形（数値の配列）にする。
+ * - ノード番号は幅優先の順（0 が根）
+ * - ノード n から出る辺は labels の offsets[n] 〜 offsets[n + 1] - 1 番目（文字コードの昇順）で、行き先は targets
+ * - terminal はキーの終わりになるノードの番号
+ * 文字は UTF-16 の単位で扱う（サロゲートペアのキーもそのまま一致する）。
+ * labels を文字列にしないのは、storage に保存する際に片割れのサロゲートが壊れるため。
+ */
+function buildSerializedTrie(keys) {
+    const root = { children: new Map(), end: false };
+    for (const key of keys) {
+        if (typeof key !== "string" || key.length === 0) continue;
+        let node = root;
+        for (let i = 0; i < key.length; i++) {
+            const code = key.charCodeAt(i);
+            let child = node.children.get(code);
+            if (!child) {
+                child = { children: new Map(), end: false };
+                node.children.set(code, child);
+            }
+            node = child;
+        }
+        node.end = true;
+    }
+
+    const order = [root];
+    const labels = [];
+    const offsets = [];
+    const targets = [];
+    const terminal = [];
+    for (let n = 0; n < order.length; n++) {
+        const node = order[n];
+        if (node.end) terminal.push(n);
+        offsets.push(labels.length);
+        for (const code of [...node.children.keys()].sort((a, b) => a - b)) {
+            labels.push(code);
+            targets.push(order.length);
+            order.push(node.children.get(code));
+        }
+    }
+    offsets.push(labels.length);
+    return { labels, offsets, targets, terminal };
+}
+
+/**
+ * content script が使う照合用のトライ木（語句・固有名詞用と文字単位用）を作る。
+ * 長いキー優先の | 連結 RegExp を毎ページ組み立てる代わりに、ここで1回だけ作って配る。
+ */
+function buildMappingMatcher(mapping, phraseKeys) {
+    const phraseSet = new Set(phraseKeys ?? []);
+    const keys = Object.keys(mapping ?? {});
+    const phrases = keys.filter((k) => phraseSet.has(k));
+    const glyphs = keys.filter((k) => !phraseSet.has(k));
+    // 訳の側（B列）のトライ木。ページの向きの判定と逆方向の表示に使う（英数字だけの訳は入れない）
+    const values = [...new Set(Object.values(mapping ?? {}))].filter((v) => v && !/^[\x00-\x7f]*$/.test(v));
+    return {
+        phrase: phrases.length > 0 ? buildSerializedTrie(phrases) : null,
+        glyph: glyphs.length > 0 ? buildSerializedTrie(glyphs) : null,
+        reverse: values.length > 0 ? buildSerializedTrie(values) : null
+    };
+}
+
+// 語句・固有名詞のタブに載っているキー（content script で先に当てる）
+function collectPhraseKeys(layers) {
+    const keys = new Set();
+    for (const layer of layers) {
+        if ((layer.role ?? DEFAULT_SOURCE_ROLE) === "glyph") continue;
+        for (const k of Object.keys(layer.mapping ?? {})) keys.add(k);
+    }
+    return [...keys];
+}
+
+/**
+ * 直前のスナップショットから変化していれば履歴に積む。
+ * 変化が無い場合は直前のスナップショットをそのまま返す。
+ */
+async function recordMappingHistory(mapping, sourceIds, phraseKeys = [], rules = []) {
+    const history = await loadMappingHistory();
+    const latest = history[0];
+    // 初回は差分を持たない（全件「追加」になるだけなので）
+    const diff = latest ? computeMappingDiff(latest.mapping, mapping) : null;
+    const sameRules = JSON.stringify(latest?.rules ?? []) === JSON.stringify(rules);
+    if (latest && isEmptyDiff(diff) && sameRules) return latest;
+
+    const snapshot = {
+        id: `snap-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        createdAt: Date.now(),
+        count: Object.keys(mapping).length,
+        sourceIds,
+        mapping,
+        phraseKeys,
+        rules,
+        ruleCount: rules.length,
+        diff
+    };
+    await chrome.storage.local.set({ [HISTORY_KEY]: [snapshot, ...history].slice(0, MAX_HISTORY_ENTRIES) });
+    return snapshot;
+}
+
+async function loadSourceCache() {
+    try {
+        const stored = await chrome.storage.local.get(SOURCE_CACHE_KEY);
+        const cache = stored?.[SOURCE_CACHE_KEY];
+        return cache && typeof cache === "object" ? cache : {};
+    } catch {
+        return {};
+    }
+}
+
+function describeFetchError(e) {
+    const status = typeof e?.status === "number" ? e.status : undefined;
+    return {
+        error: String(e?.message ?? e),
+        status,
+        privateOrAuthRequired: status === 401 || status === 403,
+        bodySnippet: typeof e?.bodySnippet === "string" ? e.bodySnippet : undefined,
+        url: e?.url
+    };
+}
+
+async function loadSourceStatus() {
+    try {
+        const stored = await chrome.storage.local.get(SOURCE_STATUS_KEY);
+        return stored?.[SOURCE_STATUS_KEY] ?? {};
+    } catch {
+        return {};
+    }
+}
+
+async function loadPinnedSnapshot() {
+    try {
+        const stored = await chrome.storage.local.get(PINNED_KEY);
+        const pinned = stored?.[PINNED_KEY];
+        return pinned?.mapping ? pinned : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * ソースごとのキャッシュ（または固定中のスナップショット）とローカル上書きから、
+ * content script に配る対応表を組み立て直して保存する。取得はしない。
+ * extra には直前の取得結果（checkedAt / lastError など）を渡す。
+ */
+async function rebuildMapping(extra = {}) {
+    const sources = (await loadSources()).filter((s) => s.enabled);
+    const cache = await loadSourceCache();
+    const status = await loadSourceStatus();
+    const pinned = await loadPinnedSnapshot();
+
+    const layers = [];
+    for (const source of sources) {
+        const cached = cache[source.id];
+        if (!hasMappingEntries(cached)) continue;
+        layers.push({
+            id: source.id,
+            role: source.role,
+            mapping: cached.mapping ?? {},
+            meta: cached.meta,
+            rules: cached.rules,
+            fetchedAt: cached.fetchedAt,
+            stale: status[source.id]?.ok === false
+        });
+    }
+
+    // 固定中はスプレッドシート側をスナップショットに差し替える
+    const sheetLayers = pinned
+        ? [{ id: PINNED_ORIGIN, mapping: pinned.mapping, fetchedAt: pinned.createdAt }]
+        : orderLayersByRole(layers);
+    // ローカル上書き（特定文字列だけ別の訳語にしたい等）。初回・オフライン・全ソース無効でシートが無くても、上書きだけで訳す
+    const localOverrides = await loadLocalOverrideMapping();
+    const overrideOnly = sheetLayers.length === 0;
+    if (overrideOnly && Object.keys(localOverrides).length === 0) return null;
+    const phraseKeys = pinned ? pinned.phraseKeys ?? [] : collectPhraseKeys(layers);
+    const rules = pinned ? pinned.rules ?? [] : collectRules(orderLayersByRole(layers));
+
+    const { mapping, origins, meta } = mergeMappingLayers([
+        { id: OVERRIDE_ORIGIN, mapping: localOverrides },
+        ...sheetLayers
+    ]);
+    const staleSourceIds = pinned ? [] : layers.filter((l) => l.stale).map((l) => l.id);
+
+    let previous = null;
+    try {
+        previous = (await chrome.storage.local.get(STORAGE_KEY))?.[STORAGE_KEY] ?? null;
+    } catch {
+        // ignore
+    }
+
+    const info = {
+        ok: true,
+        mapping,
+        origins,
+        meta,
+        phraseKeys,
+        rules,
+        matcher: buildMappingMatcher(mapping, phraseKeys),
+        // 一部でも前回取得分で代用した場合は、最も古い取得時刻を表示用に残す
+        fetchedAt: overrideOnly ? undefined : Math.min(...sheetLayers.map((l) => l.fetchedAt ?? Date.now())),
+        checkedAt: extra.checkedAt ?? previous?.checkedAt ?? Date.now(),
+        sourceIds: layers.map((l) => l.id),
+        // 上書きだけのときは取得できていない扱いにして、失敗時の間隔で取り直させる
+        stale: staleSourceIds.length > 0 || overrideOnly,
+        staleSourceIds,
+        overrideOnly,
+        lastError: staleSourceIds.length > 0 || overrideOnly ? extra.lastError ?? previous?.lastError : undefined,
+        snapshotId: extra.snapshotId ?? previous?.snapshotId,
+        pinnedSnapshotId: pinned?.id,
+        durationMs: extra.durationMs ?? previous?.durationMs,
+        count: Object.keys(mapping).length,
+        ruleCount: rules.length
+    };
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: info });
+    try {
+        await saveMappingDiagnostics(sources, cache, mapping);
+    } catch {
+        // 診断は表示用なので失敗しても対応表の配布は止めない
+    }
+    return info;
+}
+
+async function pinSnapshot(snapshotId) {
+    const history = await loadMappingHistory();
+    const snapshot = history.find((h) => h.id === snapshotId);
+    if (!snapshot) return { ok: false, error: "Snapshot not found" };
+
+    await chrome.storage.local.set({
+        [PINNED_KEY]: {
+            id: snapshot.id,
+            createdAt: snapshot.createdAt,
+            count: snapshot.count,
+            mapping: snapshot.mapping,
+            phraseKeys: snapshot.phraseKeys ?? [],
+            rules: snapshot.rules ?? [],
+            pinnedAt: Date.now()
+        }
+    });
+    const info = await rebuildMapping();
+    return { ok: true, count: info?.count ?? 0 };
+}
+
+async function unpinSnapshot() {
+    await chrome.storage.local.remove(PINNED_KEY);
+    const info = await rebuildMapping();
+    // 固定中に溜まった分を取り直す（取得に失敗しても固定の解除はできているので、警告だけ残す）
+    refreshIfDue().catch((e) => {
+        console.warn("[OkechikaTranslater] refresh after unpin failed", String(e?.message ?? e));
+    });
+    return { ok: true, count: info?.count ?? 0 };
+}
+
+async function refreshMapping() {
+    const startedAt = Date.now();
+    const sources = await loadSources();
+    let candidates = [];
+    const sourceStatus = {};
+    try {
+        candidates = buildCsvUrls(sources);
+        const cache = await loadSourceCache();
+        const nextCache = {};
+        let firstError = null;
+
+        // 全ソースを並列に取得し、失敗したものは前回取得分（あれば）で代用して合成する
+        const results = await Promise.allSettled(candidates.map((c) => fetchSourceMapping(c, cache[c.source.id])));
+        const layers = [];
+        results.forEach((r, i) => {
+            const candidate = candidates[i];
+            const id = candidate.source.id;
+            const count =
+                r.status === "fulfilled" ? Object.keys(r.value.mapping).length + (r.value.rules?.length ?? 0) : 0;
+
+            if (count > 0) {
+                // 304（未変更）の場合も「今確認して最新だった」ので fetchedAt は更新する
+                const fetchedAt = Date.now();
+                sourceStatus[id] = {
+                    ok: true,
+                    status: r.value.status,
+                    notModified: r.value.notModified === true,
+                    count,
+                    url: candidate.url,
+                    checkedAt: fetchedAt
+                };
+                nextCache[id] = {
+                    mapping: r.value.mapping,
+                    meta: r.value.meta,
+                    rules: r.value.rules,
+                    diagnostics: r.value.diagnostics,
+                    schemaKey: r.value.schemaKey,
+                    fetchedAt,
+                    url: candidate.url,
+                    etag: r.value.etag,
+                    lastModified: r.value.lastModified
+                };
+                layers.push({ id, role: candidate.source.role, mapping: r.value.mapping, rules: r.value.rules, fetchedAt });
+                return;
+            }
+
+            const err =
+                r.status === "rejected"
+                    ? r.reason
+                    : Object.assign(new Error("Mapping is empty (check A列→B列 and sheet contents)"), {
+                          status: r.value.status,
+                          url: candidate.url
+                      });
+            const info = describeFetchError(err);
+            firstError = firstError ?? info;
+            sourceStatus[id] = {
+                ok: false,
+                error: info.error,
+                status: info.status,
+                url: candidate.url,
+                checkedAt: Date.now()
+            };
+
+            const cached = cache[id];
+            if (hasMappingEntries(cached)) {
+                sourceStatus[id].staleFrom = cached.fetchedAt;
+                nextCache[id] = cached;
+                layers.push({
+                    id,
+                    role: candidate.source.role,
+                    mapping: cached.mapping ?? {},
+                    rules: cached.rules,
+                    fetchedAt: cached.fetchedAt,
+                    stale: true
+                });
+            }
+        });
+
+        // 削除されたソースのキャッシュはここで落とす
+        await chrome.storage.local.set({ [SOURCE_STATUS_KEY]: sourceStatus, [SOURCE_CACHE_KEY]: nextCache });
+        await pruneLocalFiles(sources);
+
+        if (layers.length === 0) {
+            const err = new Error(firstError?.error ?? "Mapping is empty (check A列→B列 and sheet contents)");
+            err.status = firstError?.status;
+            err.url = firstError?.url;
+            err.bodySnippet = firstError?.bodySnippet;
+            throw err;
+        }
+
+        const orderedLayers = orderLayersByRole(layers);
+        const { mapping: sheetMapping } = mergeMappingLayers(orderedLayers);
+        const snapshot = await recordMappingHistory(
+            sheetMapping,
+            layers.map((l) => l.id),
+            collectPhraseKeys(layers),
+            collectRules(orderedLayers)
+        );
+
+        const stored = await rebuildMapping({
+            checkedAt: Date.now(),
+            lastError: firstError ? { ...firstError, failedAt: Date.now() } : undefined,
+            snapshotId: snapshot.id,
+            durationMs: Date.now() - startedAt
+        });
+
+        console.info("[OkechikaTranslater] refreshMapping ok", {
+            count: stored.count,
+            sourceIds: stored.sourceIds,
+            staleSourceIds: stored.staleSourceIds,
+            snapshotId: snapshot.id,
+            pinnedSnapshotId: stored.pinnedSnapshotId,
+            durationMs: Date.now() - startedAt
+        });
+
+        return { ok: true, stale: stored.stale, pinned: Boolean(stored.pinnedSnapshotId), count: stored.count };
+    } catch (e) {
+        const info = describeFetchError(e);
+
+        console.warn("[OkechikaTranslater] refreshMapping failed", {
+            error: info.error,
+            status: info.status,
+            privateOrAuthRequired: info.privateOrAuthRequired,
+            url: info.url
+        });
+
+        // 直前に使えていた対応表があれば捨てずに残し、stale として配る
+        let previous = null;
+        try {
+            const stored = await chrome.storage.local.get(STORAGE_KEY);
+            previous = stored?.[STORAGE_KEY] ?? null;
+        } catch {
+            // ignore
+        }
+
+        if (previous?.mapping && Object.keys(previous.mapping).length > 0) {
+            await chrome.storage.local.set({
+                [STORAGE_KEY]: {
+                    ...previous,
+                    ok: true,
+                    // 固定中は元々スナップショットを配っているので stale 扱いにしない
+                    stale: !previous.pinnedSnapshotId,
+                    lastError: { ...info, failedAt: Date.now() }
+                }
+            });
+            return { ok: false, stale: true, error: info.error };
+        }
+
+        // 使えていた対応表が無くても、ローカル上書きがあればそれだけで配る
+        const overridden = await rebuildMapping({ checkedAt: Date.now(), lastError: { ...info, failedAt: Date.now() } });
+        if (overridden) return { ok: false, stale: true, error: info.error };
+
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: {
+                ok: false,
+                error: info.error,
+                status: info.status,
+                privateOrAuthRequired: info.privateOrAuthRequired,
+                bodySnippet: info.bodySnippet,
+                fetchedAt: Date.now(),
+                sourceUrlCandidates: candidates.map((c) => c.url)
+            }
+        });
+        return { ok: false, error: info.error };
+    }
+}
+
+async function loadRefreshTtlMinutes() {
+    try {
+        const stored = await chrome.storage.local.get(REFRESH_TTL_KEY);
+        return normalizeRefreshTtl(stored?.[REFRESH_TTL_KEY]);
+    } catch {
+        return DEFAULT_REFRESH_TTL_MINUTES;
+    }
+}
+
+function normalizeRefreshTtl(v) {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) return DEFAULT_REFRESH_TTL_MINUTES;
+    return Math.max(MIN_REFRESH_TTL_MINUTES, Math.round(n));
+}
+
+function isRefreshDue(stored, ttlMinutes) {
+    if (!stored) return true;
+    // 固定中は自動では取りに行かない（手動の「今すぐ更新」は可）
+    if (stored.ok && stored.pinnedSnapshotId) return false;
+    // 失敗時（ok:false）は fetchedAt が「失敗した時刻」になっている
+    const lastAttemptAt = Math.max(
+        stored.checkedAt ?? 0,
+        stored.lastError?.failedAt ?? 0,
+        stored.ok ? 0 : stored.fetchedAt ?? 0
+    );
+    const failing = !stored.ok || stored.stale;
+    const waitMinutes = failing ? Math.min(ttlMinutes, STALE_RETRY_MINUTES) : ttlMinutes;
+    return Date.now() - lastAttemptAt >= waitMinutes * 60 * 1000;
+}
+
+// 同時に複数のフレーム/タブから要求されても、取得は1本にまとめる
+let refreshInFlight = null;
+
+function requestRefresh() {
+    if (!refreshInFlight) {
+        refreshInFlight = refreshMapping().finally(() => {
+            refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+}
+
+/**
+ * 訳 → 暗号の逆引き表を作る。同じ訳の暗号は対応表の並び順で候補に並べる。
+ * 英数字だけの訳（番号表など）は、返信に数字を書けなくなるので逆引きに使わない。
+ */
+function buildReverseIndex(mapping) {
+    const index = new Map();
+    for (const [key, value] of Object.entries(mapping ?? {})) {
+        if (!key || !value) continue;
+        if (/^[\x00-\x7f]*$/.test(value)) continue;
+        const list = index.get(value);
+        if (list) list.push(key);
+        else index.set(value, [key]);
+    }
+    // 長い訳から順に試す（平文側でも最長一致）
+    const lengths = [...new Set([...index.keys()].map((v) => v.length))].sort((a, b) => b - a);
+    return { index, lengths };
+}
+
+// 対応表が変わるまで使い回す（storage.onChanged で捨てる）
+let reverseIndexCache = null;
+
+async function getReverseIndex() {
+    if (reverseIndexCache) return reverseIndexCache;
+    const info = (await chrome.storage.local.get(STORAGE_KEY))?.[STORAGE_KEY];
+    if (!info?.ok || !info.mapping) return null;
+    reverseIndexCache = buildReverseIndex(info.mapping);
+    return reverseIndexCache;
+}
+
+async function loadEncodeStrategy() {
+    try {
+        const v = (await chrome.storage.local.get(ENCODE_STRATEGY_KEY))?.[ENCODE_STRATEGY_KEY];
+        return ENCODE_STRATEGIES.includes(v) ? v : DEFAULT_ENCODE_STRATEGY;
+    } catch {
+        return DEFAULT_ENCODE_STRATEGY;
+    }
+}
+
+/**
+ * 平文を暗号にする。各位置で最も長い訳に一致させ、一致しない文字はそのまま残す。
+ * strategy を省くと保存済みの設定を使う。
+ * 戻り値: { ok, text, strategy, unmatched（残した文字数。空白は数えない）, homophones（候補が複数あった箇所の数） }
+ */
+async function encodeText(text, strategy) {
+    const reverse = await getReverseIndex();
+    if (!reverse) return { ok: false, error: "No mapping yet" };
+    const chosen = ENCODE_STRATEGIES.includes(strategy) ? strategy : await loadEncodeStrategy();
+    // round-robin は1回の変換の中で数える（同じ入力なら同じ結果になるように）
+    const counters = new Map();
+    const pick = (value, keys) => {
+        if (keys.length === 1 || chosen === "first") return keys[0];
+        if (chosen === "random") return keys[Math.floor(Math.random() * keys.length)];
+        const n = counters.get(value) ?? 0;
+        counters.set(value, n + 1);
+        return keys[n % keys.length];
+    };
+
+    const input = String(text ?? "");
+    let out = "";
+    let unmatched = 0;
+    let homophones = 0;
+    let i = 0;
+    while (i < input.length) {
+        let length = 0;
+        for (const len of reverse.lengths) {
+            if (len > input.length - i) continue;
+            const value = input.slice(i, i + len);
+            const keys = reverse.index.get(value);
+            if (!keys) continue;
+            if (keys.length > 1) homophones++;
+            out += pick(value, keys);
+            length = len;
+            break;
+        }
+        if (length > 0) {
+            i += length;
+            continue;
+        }
+        const ch = String.fromCodePoint(input.codePointAt(i));
+        if (!/\s/.test(ch)) unmatched++;
+        out += ch;
+        i += ch.length;
+    }
+    return { ok: true, text: out, strategy: chosen, unmatched, homophones };
+}
+
+/**
+ * TTL が切れていれば更新する。キャッシュがまだ無い場合だけ更新完了を待ち、
+ * それ以外は裏で更新しつつ手元の対応表をすぐ返す。
+ */
+async function getMappingWithPolicy() {
+    let stored = (await chrome.storage.local.get(STORAGE_KEY))?.[STORAGE_KEY] ?? null;
+    // 照合用のトライ木が無い・訳の側のトライ木が無い（以前の版で保存した）対応表は、取り直さずに組み立て直す
+    if (stored?.ok && stored.mapping && !(stored.matcher && "reverse" in stored.matcher)) {
+        stored = (await rebuildMapping()) ?? stored;
+    }
+    const ttl = await loadRefreshTtlMinutes();
+    if (!isRefreshDue(stored, ttl)) return stored;
+
+    if (!stored?.mapping) {
+        await requestRefresh();
+        const next = await chrome.storage.local.get(STORAGE_KEY);
+        return next?.[STORAGE_KEY] ?? null;
+    }
+
+    requestRefresh();
+    return stored;
+}
+
+async function scheduleRefreshAlarm() {
+    try {
+        const ttl = await loadRefreshTtlMinutes();
+        await chrome.alarms.clear(REFRESH_ALARM_NAME);
+        chrome.alarms.create(REFRESH_ALARM_NAME, { periodInMinutes: ttl });
+    } catch (e) {
+        console.warn("[OkechikaTranslater] failed to schedule refresh alarm", String(e?.message ?? e));
+    }
+}
+
+async function refreshIfDue() {
+    const stored = (await chrome.storage.local.get(STORAGE_KEY))?.[STORAGE_KEY] ?? null;
+    const ttl = await loadRefreshTtlMinutes();
+    if (isRefreshDue(stored, ttl)) await requestRefresh();
+}
+
+function setupContextMenus() {
+    try {
+        chrome.contextMenus.removeAll(() => {
+            chrome.contextMenus.create({
+                id: EDIT_TRANSLATION_MENU_ID,
+                title: "訳を修正…",
+                // 訳は本文の文字にしか入らないので、リンク・画像・入力欄などの上では出さない
+                contexts: ["page", "selection"]
+            });
+            chrome.contextMenus.create({
+                id: ENCODE_SELECTION_MENU_ID,
+                title: "選択した文字を暗号にする",
+                contexts: ["selection"]
+            });
+        });
+    } catch (e) {
+        console.warn("[OkechikaTranslater] failed to create context menu", String(e?.message ?? e));
+    }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+    requestRefresh();
+    scheduleRefreshAlarm();
+    setupContextMenus();
+});
+
+chrome.runtime.onStartup?.addListener(() => {
+    refreshIfDue();
+    scheduleRefreshAlarm();
+    setupContextMenus();
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (typeof tab?.id !== "number") return;
+    if (info?.menuItemId === EDIT_TRANSLATION_MENU_ID) {
+        try {
+            // 右クリックされたフレームの content script にだけ送る
+            await chrome.tabs.sendMessage(tab.id, { type: "OPEN_TRANSLATION_EDITOR" }, { frameId: info.frameId ?? 0 });
+        } catch (e) {
+            console.warn("[OkechikaTranslater] failed to open translation editor", String(e?.message ?? e));
+        }
+        return;
+    }
+    if (info?.menuItemId === ENCODE_SELECTION_MENU_ID) {
+        try {
+            // 選択範囲は content script 側で取り直す（selectionText は空白が詰められることがあるため）
+            await chrome.tabs.sendMessage(
+                tab.id,
+                { type: "ENCODE_SELECTION", selectionText: info.selectionText ?? "" },
+                { frameId: info.frameId ?? 0 }
+            );
+        } catch (e) {
+            console.warn("[OkechikaTranslater] failed to encode selection", String(e?.message ?? e));
+        }
+    }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm?.name !== REFRESH_ALARM_NAME) return;
+    refreshIfDue();
+});
+
+// オプションページでの変更に追従する
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    if (!changes) return;
+    if (Object.prototype.hasOwnProperty.call(changes, SOURCES_KEY)) {
+        requestRefresh();
+    }
+    if (Object.prototype.hasOwnProperty.call(changes, REFRESH_TTL_KEY)) {
+        scheduleRefreshAlarm();
+    }
+    // 上書きの編集は取り直さずに組み立て直すだけで反映する
+    if (Object.prototype.hasOwnProperty.call(changes, LOCAL_OVERRIDE_KEY)) {
+        rebuildMapping();
+    }
+    if (Object.prototype.hasOwnProperty.call(changes, STORAGE_KEY)) {
+        reverseIndexCache = null;
+    }
+});
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    (async () => {
+        if (msg?.type === "GET_MAPPING") {
+            const stored = await getMappingWithPolicy();
+            sendResponse(stored ?? { ok: false, error: "No mapping yet" });
+            return;
+        }
+
+        if (msg?.type === "GET_SOURCES") {
+            sendResponse({ ok: true, sources: await loadSources() });
+            return;
+        }
+
+        if (msg?.type === "SAVE_LOCAL_OVERRIDE") {
+            sendResponse(await saveLocalOverride(msg.key, msg.value));
+            return;
+        }
+
+        if (msg?.type === "ENCODE_TEXT") {
+            sendResponse(await encodeText(msg.text, msg.strategy));
+            return;
+        }
+
+        if (msg?.type === "IMPORT_SHEET_FILE") {
+            sendResponse(await importSheetFile(msg));
+            return;
+        }
+
+        if (msg?.type === "DECODE_TEXT_FILE") {
+            try {
+                sendResponse({ ok: true, ...decodeTextBytes(base64ToBytes(msg.data), msg.encoding) });
+            } catch (e) {
+                sendResponse({ ok: false, error: String(e?.message ?? e) });
+            }
+            return;
+        }
+
+        if (msg?.type === "PARSE_OVERRIDE_IMPORT") {
+            sendResponse(parseOverrideImport(msg.text, msg.format));
+            return;
+        }
+
+        if (msg?.type === "PIN_SNAPSHOT") {
+            sendResponse(await pinSnapshot(String(msg.snapshotId ?? "")));
+            return;
+        }
+
+        if (msg?.type === "UNPIN_SNAPSHOT") {
+            sendResponse(await unpinSnapshot());
+            return;
+        }
+
+        if (msg?.type === "REFRESH_MAPPING") {
+            const result = await requestRefresh();
+            sendResponse(result);
+            return;
+        }
+
+        sendResponse({ ok: false, error: "Unknown message" });
+    })().catch((e) => {
+        // 途中で例外が出ても応答は返す（返さないと popup / 設定ページが待ち続ける）
+        sendResponse({ ok: false, error: String(e?.message ?? e) });
+    });
+
+    // async sendResponse
+    return true;
+});
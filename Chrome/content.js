@@ -1,822 +1,2252 @@
-const IGNORED_TAGS = new Set([
-    "SCRIPT",
-    "STYLE",
-    "TEXTAREA",
-    "INPUT",
-    "NOSCRIPT"
-]);
-
-const ENABLED_KEY = "okechikaEnabled";
-const RUBY_SWAP_KEY = "okechikaRubySwap";
-const DOMAIN_ONLY_KEY = "okechikaDomainOnly";
-
-// 「桶地下サイトのみ翻訳」がONのときに翻訳を許可するドメイン
-const ALLOWED_HOSTS = new Set([
-    "0cacd3226ad7.ngrok.app",
-    "www.qtes9gu0k.xyz"
-]);
-
-// 同じ箇所に何度も置換が走る（初回＋リトライ＋MutationObserver）ため、
-// 置換後の文字列をさらに置換してしまう連鎖変換（例: 儺→下→確）を防ぐ。
-// span化できないケースでも、元の文字列を保持して常にそこから再計算する。
-const ORIGINAL_TEXT_BY_NODE = new WeakMap();
-
-// false: 本文=翻訳後 / ルビ=原文（従来）
-// true:  本文=原文 / ルビ=翻訳後
-let rubySwap = false;
-let domainOnly = true;
-
-function isAllowedOkechikaSite() {
-    const isAllowed = (proto, host) => {
-        const p = String(proto ?? "");
-        const h = String(host ?? "").toLowerCase();
-        if (p !== "http:" && p !== "https:") return false;
-        if (!h) return false;
-        return ALLOWED_HOSTS.has(h);
-    };
-
-    // 1) まずは「このフレーム自身のURL」で判定
-    try {
-        if (isAllowed(location?.protocol, location?.hostname)) return true;
-    } catch {
-        // ignore
-    }
-
-    // 2) same-origin の場合は top のURLで判定（srcdoc/about:blank iframe で有効）
-    try {
-        if (window.top && window.top !== window) {
-            if (isAllowed(window.top.location.protocol, window.top.location.hostname)) return true;
-        }
-    } catch {
-        // cross-origin の場合は例外になるため無視
-    }
-
-    // 3) ancestorOrigins / referrer から推測して判定
-    const candidates = [];
-    try {
-        const ao = location?.ancestorOrigins;
-        if (ao && ao.length) candidates.push(...ao);
-    } catch {
-        // ignore
-    }
-
-    try {
-        if (document.referrer) candidates.push(document.referrer);
-    } catch {
-        // ignore
-    }
-
-    for (let i = candidates.length - 1; i >= 0; i--) {
-        try {
-            const u = new URL(candidates[i]);
-            if (isAllowed(u.protocol, u.hostname)) return true;
-        } catch {
-            // ignore
-        }
-    }
-
-    return false;
-}
-
-function shouldIgnoreTextNode(textNode) {
-    const parent = textNode.parentElement;
-    if (!parent) return true;
-    if (IGNORED_TAGS.has(parent.tagName)) return true;
-    // ルビの注釈側(rt/rp)は翻訳対象にしない
-    if (parent.tagName === "RT" || parent.tagName === "RP") return true;
-    const editable = parent.closest("[contenteditable='true']");
-    if (editable) {
-        // 表示専用ビューアが contenteditable を使うことがあるため、
-        // ユーザーが操作中（フォーカス中）のときだけ避ける。
-        const active = document.activeElement;
-        if (active && editable.contains(active)) return true;
-    }
-    return false;
-}
-
-function buildReplacer(mapping) {
-    const entries = Object.entries(mapping ?? {});
-    if (entries.length === 0) return null;
-
-    // 置換元が1文字とは限らない想定で、長いキーを優先して置換
-    entries.sort((a, b) => b[0].length - a[0].length);
-
-    const keys = entries.map(([k]) => k);
-    const escapedKeys = keys.map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
-    const re = new RegExp(escapedKeys.join("|"), "g");
-    const map = new Map(entries);
-
-    return (text) => text.replace(re, (m) => map.get(m) ?? m);
-}
-
-function buildMatchRegex(mapping) {
-    const entries = Object.entries(mapping ?? {});
-    if (entries.length === 0) return null;
-    entries.sort((a, b) => b[0].length - a[0].length);
-    const escapedKeys = entries
-        .map(([k]) => k)
-        .filter((k) => typeof k === "string" && k.length > 0)
-        .map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
-    if (escapedKeys.length === 0) return null;
-    return new RegExp(escapedKeys.join("|"), "g");
-}
-
-function countMatchesInText(text, re) {
-    if (!text || !re) return 0;
-    re.lastIndex = 0;
-    let count = 0;
-    while (re.exec(text)) {
-        count++;
-        // 念のため無限ループ防止（空文字マッチは発生しない想定だが保険）
-        if (re.lastIndex === 0) break;
-    }
-    re.lastIndex = 0;
-    return count;
-}
-
-function estimateMatchesInRoot(root, re) {
-    if (!re) return 0;
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
-    let total = 0;
-    let n;
-    while ((n = walker.nextNode())) {
-        if (shouldIgnoreTextNode(n)) continue;
-        const before = n.nodeValue;
-        if (!before || before.trim().length === 0) continue;
-        total += countMatchesInText(before, re);
-    }
-    return total;
-}
-
-function ensureDefaultFontStyle() {
-    const id = "okechika-translater-font";
-    if (document.getElementById(id)) return;
-    const style = document.createElement("style");
-    style.id = id;
-    // 暗号用フォントに引っ張られないよう、読みやすい日本語サンセリフを優先
-    // ページが Noto Sans JP を読み込んでいない場合でも、他の一般的なフォントへフォールバックする
-    const fontStack = [
-        '"Noto Sans JP"',
-        '"Noto Sans CJK JP"',
-        '"Hiragino Sans"',
-        '"Yu Gothic"',
-        'Meiryo',
-        'system-ui',
-        'sans-serif'
-    ].join(",");
-    // ルビ(rt)はページ既定フォントのままにしたいので、翻訳本文側だけフォントを当てる。
-    // ルビ表示がページCSSで崩れることがあるため、最低限の ruby/rt スタイルも付与する。
-    style.textContent = [
-        `.okechika-translated-base{font-family:${fontStack} !important;}`,
-        // コンテナ配下の ruby だけにスタイルを当てる（コンテナ自体は span）
-        `.okechika-translated ruby{ruby-position:over; ruby-align:center;}`,
-        `.okechika-translated ruby rt{font-size:0.6em; line-height:1;}`
-    ].join("\n");
-    document.documentElement.appendChild(style);
-}
-
-function createTranslatedRuby(original, translated) {
-    const ruby = document.createElement("ruby");
-    const base = document.createElement("span");
-    // ルビ表示入替時はフォントも入替える
-    // - 通常: 本文(翻訳後)に読みやすいフォントを適用
-    // - 入替: 本文(原文)はページ既定フォント、ルビ(翻訳後)に読みやすいフォントを適用
-    base.className = rubySwap ? "" : "okechika-translated-base";
-    base.textContent = rubySwap ? original : translated;
-    ruby.appendChild(base);
-    const rt = document.createElement("rt");
-    rt.className = rubySwap ? "okechika-translated-base" : "";
-    rt.textContent = rubySwap ? translated : original;
-    ruby.appendChild(rt);
-    return ruby;
-}
-
-function createSegmentedTranslationFragment(originalText, replaceFn) {
-    const frag = document.createDocumentFragment();
-    const parts = String(originalText ?? "").split(/(\s+)/);
-    for (const part of parts) {
-        if (!part) continue;
-        // スペース（連続含む）はそのまま
-        if (/^\s+$/.test(part)) {
-            frag.appendChild(document.createTextNode(part));
-            continue;
-        }
-
-        const translated = replaceFn(part);
-        if (translated === part) {
-            frag.appendChild(document.createTextNode(part));
-        } else {
-            frag.appendChild(createTranslatedRuby(part, translated));
-        }
-    }
-    return frag;
-}
-
-function fillTranslatedContainer(containerEl, originalText, replaceFn) {
-    while (containerEl.firstChild) containerEl.removeChild(containerEl.firstChild);
-    containerEl.appendChild(createSegmentedTranslationFragment(originalText, replaceFn));
-}
-
-function canWrapWithSpan(parentEl) {
-    if (!parentEl) return false;
-    const tag = parentEl.tagName;
-    // span を子に置けない要素を避ける
-    if (tag === "SCRIPT" || tag === "STYLE" || tag === "NOSCRIPT") return false;
-    if (tag === "HEAD" || tag === "HTML") return false;
-    return true;
-}
-
-function translateRoot(root, replaceFn) {
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
-    const nodes = [];
-
-    let n;
-    while ((n = walker.nextNode())) {
-        nodes.push(n);
-    }
-
-    let changedNodes = 0;
-    const samples = [];
-
-    const processedWrappers = new Set();
-
-    for (const textNode of nodes) {
-        if (shouldIgnoreTextNode(textNode)) continue;
-
-        const current = textNode.nodeValue;
-        if (!current || current.trim().length === 0) continue;
-
-        const parent = textNode.parentElement;
-        const wrapper = parent?.closest
-            ? parent.closest("span.okechika-translated[data-okechika-original], ruby.okechika-translated[data-okechika-original]")
-            : null;
-
-        // 既に翻訳済みコンテナがある場合は、原文(=コンテナに保持)から一括で再計算して更新する
-        if (wrapper && wrapper.dataset?.okechikaOriginal !== undefined) {
-            if (processedWrappers.has(wrapper)) continue;
-
-            const original = wrapper.dataset.okechikaOriginal;
-            const after = replaceFn(original);
-
-            if (wrapper.tagName === "RUBY") {
-                // 旧形式(ruby直置き)をspanコンテナ形式に変換
-                const container = document.createElement("span");
-                container.className = "okechika-translated";
-                container.dataset.okechikaOriginal = original;
-                ensureDefaultFontStyle();
-                fillTranslatedContainer(container, original, replaceFn);
-                wrapper.replaceWith(container);
-                processedWrappers.add(container);
-            } else {
-                ensureDefaultFontStyle();
-                fillTranslatedContainer(wrapper, original, replaceFn);
-                processedWrappers.add(wrapper);
-            }
-
-            changedNodes++;
-            if (samples.length < 3) {
-                samples.push({ before: String(original).slice(0, 80), after: String(after).slice(0, 80) });
-            }
-            continue;
-        }
-
-        const storedOriginal = ORIGINAL_TEXT_BY_NODE.get(textNode);
-        const original = storedOriginal ?? current;
-
-        const after = replaceFn(original);
-        if (after !== current) {
-            if (parent && canWrapWithSpan(parent)) {
-                ensureDefaultFontStyle();
-                const container = document.createElement("span");
-                container.className = "okechika-translated";
-                container.dataset.okechikaOriginal = original;
-                fillTranslatedContainer(container, original, replaceFn);
-                parent.replaceChild(container, textNode);
-            } else {
-                if (!ORIGINAL_TEXT_BY_NODE.has(textNode)) {
-                    ORIGINAL_TEXT_BY_NODE.set(textNode, original);
-                }
-                textNode.nodeValue = after;
-            }
-            changedNodes++;
-            if (samples.length < 3) {
-                samples.push({ before: String(original).slice(0, 80), after: String(after).slice(0, 80) });
-            }
-        }
-    }
-
-    return { changedNodes, samples };
-}
-
-function translateFormFields(root, replaceFn) {
-    let changed = 0;
-
-    const nodes = root.querySelectorAll?.(
-        "textarea, input:not([type]), input[type='text'], input[type='search'], input[type='url'], input[type='email'], input[type='tel']"
-    );
-    if (!nodes) return changed;
-
-    for (const el of nodes) {
-        try {
-            const tag = el.tagName;
-            const isActive = document.activeElement === el;
-            // 入力中は触らない
-            if (isActive) continue;
-
-            const current = tag === "TEXTAREA" ? el.value : el.value;
-            if (!current || current.trim().length === 0) continue;
-
-            const original = el.dataset.okechikaOriginal ?? current;
-            const after = replaceFn(original);
-            if (after !== current) {
-                if (!el.dataset.okechikaOriginal) el.dataset.okechikaOriginal = original;
-                el.value = after;
-                try {
-                    // フィールド自体も暗号用フォントを避ける
-                    el.style.fontFamily = '"Noto Sans JP","Noto Sans CJK JP","Hiragino Sans","Yu Gothic",Meiryo,system-ui,sans-serif';
-                } catch {
-                    // ignore
-                }
-                changed++;
-            }
-        } catch {
-            // ignore
-        }
-    }
-
-    return changed;
-}
-
-function collectOpenShadowRoots(root) {
-    const roots = [];
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
-    let n;
-    while ((n = walker.nextNode())) {
-        if (n.shadowRoot) roots.push(n.shadowRoot);
-    }
-    // ネストした shadow root も拾う
-    for (let i = 0; i < roots.length; i++) {
-        const sr = roots[i];
-        const inner = document.createTreeWalker(sr, NodeFilter.SHOW_ELEMENT);
-        let e;
-        while ((e = inner.nextNode())) {
-            if (e.shadowRoot) roots.push(e.shadowRoot);
-        }
-    }
-    return roots;
-}
-
-function reverseMapping(mapping) {
-    const reversed = {};
-    for (const [k, v] of Object.entries(mapping ?? {})) {
-        if (!k || !v) continue;
-        // 衝突した場合は先勝ち（ここでは安定性優先で上書きしない）
-        if (reversed[v] === undefined) reversed[v] = k;
-    }
-    return reversed;
-}
-
-async function getMappingFromBackground() {
-    try {
-        const res = await chrome.runtime.sendMessage({ type: "GET_MAPPING" });
-        return res ?? null;
-    } catch {
-        return null;
-    }
-}
-
-async function refreshMappingInBackground() {
-    try {
-        const res = await chrome.runtime.sendMessage({ type: "REFRESH_MAPPING" });
-        return res ?? null;
-    } catch {
-        return null;
-    }
-}
-
-function showMappingErrorBanner(info) {
-    // ユーザー要望: 「置換が適用されません」系の警告バナーは不要。
-    // 対応表取得失敗などの実エラー（ok:false）のみ表示する。
-    if (info?.warning) return;
-
-    // 特殊なdocument（ごく稀）ではdocumentElementが無いことがある
-    if (!document?.documentElement) return;
-
-    const id = "okechika-translater-error";
-    if (document.getElementById(id)) return;
-
-    const box = document.createElement("div");
-    box.id = id;
-    box.style.position = "fixed";
-    box.style.left = "12px";
-    box.style.right = "12px";
-    box.style.bottom = "12px";
-    box.style.zIndex = "2147483647";
-    box.style.padding = "10px 12px";
-    box.style.border = "1px solid #d0d0d0";
-    box.style.background = "#ffffff";
-    box.style.color = "#111111";
-    box.style.font = "12px/1.4 system-ui, -apple-system, Segoe UI, sans-serif";
-    box.style.maxHeight = "35vh";
-    box.style.overflow = "auto";
-
-    const title = document.createElement("div");
-    title.textContent = info?.warning
-        ? "OkechikaTranslater: 置換が適用されません"
-        : "OkechikaTranslater: 対応表を取得できません";
-    title.style.fontWeight = "600";
-    title.style.marginBottom = "4px";
-
-    const body = document.createElement("div");
-    const status = info?.status ? ` (HTTP ${info.status})` : "";
-    const hint = info?.warning
-        ? "対応表の読み込みは成功しましたが、ページ本文で置換対象が見つかりませんでした。暗号文が画像/Canvas/閉じたShadow DOM内の場合や、対応表の向きが逆の場合に起きます。"
-        : info?.messageFailure
-            ? "拡張機能のバックグラウンドに接続できません。このページでは拡張が動作しないか、拡張が無効/未読み込みの可能性があります。"
-            : info?.privateOrAuthRequired
-                ? "スプレッドシートが非公開、または閲覧にログインが必要な可能性があります。"
-                : "スプレッドシートが公開（リンク閲覧可 / ウェブに公開）になっているか確認してください。";
-    const errText = info?.error ? `\n詳細: ${info.error}${status}` : "";
-    const countsText =
-        typeof info?.changedTextNodes === "number" || typeof info?.changedFields === "number"
-            ? `\n置換: テキスト ${info.changedTextNodes ?? 0} 件 / フィールド ${info.changedFields ?? 0} 件`
-            : "";
-    body.textContent = `${hint}${errText}${countsText}`;
-
-    box.appendChild(title);
-    box.appendChild(body);
-
-    document.documentElement.appendChild(box);
-}
-
-async function getEnabledFlag() {
-    try {
-        const obj = await chrome.storage.local.get(ENABLED_KEY);
-        const v = obj?.[ENABLED_KEY];
-        return v === undefined ? true : Boolean(v);
-    } catch {
-        return true;
-    }
-}
-
-async function getRubySwapFlag() {
-    try {
-        const obj = await chrome.storage.local.get(RUBY_SWAP_KEY);
-        const v = obj?.[RUBY_SWAP_KEY];
-        return v === undefined ? false : Boolean(v);
-    } catch {
-        return false;
-    }
-}
-
-async function getDomainOnlyFlag() {
-    try {
-        const obj = await chrome.storage.local.get(DOMAIN_ONLY_KEY);
-        const v = obj?.[DOMAIN_ONLY_KEY];
-        return v === undefined ? true : Boolean(v);
-    } catch {
-        return true;
-    }
-}
-
-function restoreTranslatedInRoot(root) {
-    try {
-        const translated = root.querySelectorAll?.(
-            "span.okechika-translated[data-okechika-original], ruby.okechika-translated[data-okechika-original]"
-        );
-        if (translated) {
-            for (const el of translated) {
-                const original = el.dataset.okechikaOriginal;
-                if (original === undefined) continue;
-                el.replaceWith(document.createTextNode(original));
-            }
-        }
-
-        const fields = root.querySelectorAll?.("textarea[data-okechika-original], input[data-okechika-original]");
-        if (fields) {
-            for (const el of fields) {
-                const original = el.dataset.okechikaOriginal;
-                if (original === undefined) continue;
-                el.value = original;
-                try {
-                    delete el.dataset.okechikaOriginal;
-                } catch {
-                    // ignore
-                }
-            }
-        }
-    } catch {
-        // ignore
-    }
-}
-
-(async () => {
-    try {
-        console.info("[OkechikaTranslater] content script loaded", location.href);
-
-        if (!document.body) {
-            await new Promise((resolve) => {
-                document.addEventListener("DOMContentLoaded", resolve, { once: true });
-            });
-        }
-
-        if (!document.body) {
-            throw new Error("document.body is not available");
-        }
-
-        let enabled = await getEnabledFlag();
-        rubySwap = await getRubySwapFlag();
-        domainOnly = await getDomainOnlyFlag();
-        let observer = null;
-        let replaceFn = null;
-
-        function stopAndRestore() {
-            try {
-                observer?.disconnect();
-            } catch {
-                // ignore
-            }
-            observer = null;
-
-            restoreTranslatedInRoot(document.body);
-            for (const sr of collectOpenShadowRoots(document.body)) {
-                restoreTranslatedInRoot(sr);
-            }
-        }
-
-        async function startIfNeeded() {
-            if (!enabled) return;
-            if (domainOnly && !isAllowedOkechikaSite()) return;
-            if (observer) return;
-
-            // まずは対応表の更新を試みる（onInstalled/onStartup が走っていない場合もあるため）
-            const refreshResult = await refreshMappingInBackground();
-            if (refreshResult && refreshResult.ok === false) {
-                console.warn("[OkechikaTranslater] refresh failed", refreshResult);
-            }
-
-            const result = await getMappingFromBackground();
-            if (!result) {
-                showMappingErrorBanner({ ok: false, error: "Failed to message background", messageFailure: true });
-                console.warn("[OkechikaTranslater] failed to get mapping (message failed)");
-                return;
-            }
-
-            if (!result.ok) {
-                showMappingErrorBanner(result);
-                console.warn("[OkechikaTranslater] mapping not ok", result);
-                return;
-            }
-
-            const mapping = result.mapping ?? null;
-            if (!mapping) {
-                showMappingErrorBanner({ ok: false, error: "No mapping in storage" });
-                console.warn("[OkechikaTranslater] no mapping in storage");
-                return;
-            }
-
-            // マッピング方向は forward 固定（A列→B列）。
-            // 数字変換（例: ソ→28）が入ると reverse 自動判定が誤作動しやすいため。
-            console.info("[OkechikaTranslater] mapping direction", { chosen: "forward" });
-
-            replaceFn = buildReplacer(mapping);
-            if (!replaceFn) {
-                showMappingErrorBanner({ ok: false, error: "Mapping is empty" });
-                console.warn("[OkechikaTranslater] mapping is empty");
-                return;
-            }
-
-            function translateAllRoots(fn) {
-                let changedTextNodes = 0;
-                let changedFields = 0;
-                const sampleChanges = [];
-
-                const r1 = translateRoot(document.body, fn);
-                changedTextNodes += r1.changedNodes;
-                sampleChanges.push(...r1.samples);
-                changedFields += translateFormFields(document.body, fn);
-
-                for (const sr of collectOpenShadowRoots(document.body)) {
-                    const r = translateRoot(sr, fn);
-                    changedTextNodes += r.changedNodes;
-                    sampleChanges.push(...r.samples);
-                    // shadow root 内の input/textarea は基本少ないが、一応
-                    try {
-                        changedFields += translateFormFields(sr, fn);
-                    } catch {
-                        // ignore
-                    }
-                }
-
-                return { changedTextNodes, changedFields, sampleChanges: sampleChanges.slice(0, 3) };
-            }
-
-            function rerenderAllRoots() {
-                if (!replaceFn) return;
-                try {
-                    translateAllRoots(replaceFn);
-                } catch {
-                    // ignore
-                }
-            }
-
-            // 初回翻訳
-            let changed = translateAllRoots(replaceFn);
-
-            const totalReplacements = (changed.changedTextNodes ?? 0) + (changed.changedFields ?? 0);
-            if (totalReplacements === 0) {
-                showMappingErrorBanner({ warning: true, error: "0 replacements", ...changed });
-                console.warn("[OkechikaTranslater] 0 replacements; nothing to translate");
-            } else {
-                console.info("[OkechikaTranslater] initial replacements", changed);
-
-                // 少なすぎる場合は、ユーザーが見ている本文に効いていない可能性が高いので注意喚起
-                if (totalReplacements < 10) {
-                    showMappingErrorBanner({ warning: true, error: "Too few replacements", ...changed });
-                    console.warn("[OkechikaTranslater] too few replacements", changed);
-                }
-            }
-
-            // SPA/ビューアで遅れて描画される場合があるので、数回だけ再実行
-            const retryDelaysMs = [500, 1500, 3000];
-            for (const d of retryDelaysMs) {
-                setTimeout(() => {
-                    try {
-                        if (!enabled) return;
-                        const retry = translateAllRoots(replaceFn);
-                        const retryTotal = (retry.changedTextNodes ?? 0) + (retry.changedFields ?? 0);
-                        if (retryTotal > 0) {
-                            console.info("[OkechikaTranslater] retry replacements", { delayMs: d, ...retry });
-                        }
-                    } catch {
-                        // ignore
-                    }
-                }, d);
-            }
-
-            // 追加・更新された箇所を翻訳
-            let scheduled = false;
-            const pendingRoots = new Set();
-            let isApplying = false;
-
-            function isInsideTranslated(node) {
-                try {
-                    if (!node) return false;
-                    const el =
-                        node.nodeType === Node.ELEMENT_NODE
-                            ? node
-                            : node.nodeType === Node.TEXT_NODE
-                                ? node.parentElement
-                                : null;
-                    if (!el) return false;
-                    if (el.classList?.contains("okechika-translated")) return true;
-                    return Boolean(el.closest?.(".okechika-translated"));
-                } catch {
-                    return false;
-                }
-            }
-
-            function scheduleTranslate(observer) {
-                if (scheduled) return;
-                scheduled = true;
-                queueMicrotask(() => {
-                    scheduled = false;
-                    const roots = Array.from(pendingRoots);
-                    pendingRoots.clear();
-
-                    if (isApplying) return;
-                    isApplying = true;
-                    try {
-                        for (const r of roots) {
-                            if (!r) continue;
-                            // 拡張が入れた要素配下は監視経由で再翻訳しない
-                            if (isInsideTranslated(r)) continue;
-                            if (r.nodeType === Node.ELEMENT_NODE || r.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
-                                try {
-                                    translateRoot(r, replaceFn);
-                                } catch {
-                                    // ignore
-                                }
-                                try {
-                                    if (r.nodeType === Node.ELEMENT_NODE) translateFormFields(r, replaceFn);
-                                } catch {
-                                    // ignore
-                                }
-                            }
-                        }
-
-                        // 新規に追加された open shadow root も追従
-                        for (const sr of collectOpenShadowRoots(document.body)) {
-                            try {
-                                translateRoot(sr, replaceFn);
-                            } catch {
-                                // ignore
-                            }
-                            try {
-                                translateFormFields(sr, replaceFn);
-                            } catch {
-                                // ignore
-                            }
-                        }
-                    } finally {
-                        isApplying = false;
-                    }
-                });
-            }
-
-            observer = new MutationObserver((mutations) => {
-                // 翻訳適用中のDOM変更は全て無視（自分で入れた変更が再トリガーになるのを防ぐ）
-                if (isApplying) return;
-
-                for (const m of mutations) {
-                    if (m.type === "characterData") {
-                        if (m.target?.nodeType === Node.TEXT_NODE) {
-                            if (!isInsideTranslated(m.target)) {
-                                pendingRoots.add(m.target.parentElement ?? document.body);
-                            }
-                        }
-                        continue;
-                    }
-
-                    if (m.type === "childList") {
-                        for (const node of m.addedNodes) {
-                            if (isInsideTranslated(node)) continue;
-                            if (node.nodeType === Node.ELEMENT_NODE) pendingRoots.add(node);
-                            else if (node.nodeType === Node.TEXT_NODE) pendingRoots.add(node.parentElement ?? document.body);
-                        }
-                    }
-                }
-
-                if (!enabled) return;
-                scheduleTranslate(observer);
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true,
-                characterData: true
-            });
-
-            // startIfNeeded の呼び出しスコープ内でのみ使われるので、参照を残す
-            startIfNeeded.rerenderAllRoots = rerenderAllRoots;
-        }
-
-        // 初期状態に応じて開始
-        await startIfNeeded();
-
-        // ポップアップの切替に追従
-        try {
-            chrome.storage.onChanged.addListener((changes, areaName) => {
-                if (areaName !== "local") return;
-                if (!changes) return;
-
-                if (Object.prototype.hasOwnProperty.call(changes, ENABLED_KEY)) {
-                    const newValue = changes[ENABLED_KEY]?.newValue;
-                    const next = newValue === undefined ? true : Boolean(newValue);
-                    if (next !== enabled) {
-                        enabled = next;
-                        if (enabled) startIfNeeded();
-                        else stopAndRestore();
-                    }
-                }
-
-                if (Object.prototype.hasOwnProperty.call(changes, RUBY_SWAP_KEY)) {
-                    const newValue = changes[RUBY_SWAP_KEY]?.newValue;
-                    const next = newValue === undefined ? false : Boolean(newValue);
-                    if (next !== rubySwap) {
-                        rubySwap = next;
-                        if (enabled) {
-                            // 既存の翻訳DOMを入れ替え反映
-                            try {
-                                startIfNeeded.rerenderAllRoots?.();
-                            } catch {
-                                // ignore
-                            }
-                        }
-                    }
-                }
-
-                if (Object.prototype.hasOwnProperty.call(changes, DOMAIN_ONLY_KEY)) {
-                    const newValue = changes[DOMAIN_ONLY_KEY]?.newValue;
-                    const next = newValue === undefined ? true : Boolean(newValue);
-                    if (next !== domainOnly) {
-                        domainOnly = next;
-                        if (enabled) {
-                            if (domainOnly && !isAllowedOkechikaSite()) stopAndRestore();
-                            else startIfNeeded();
-                        }
-                    }
-                }
-            });
-        } catch {
-            // ignore
-        }
-    } catch (e) {
-        console.error("[OkechikaTranslater] unexpected error", e);
-        try {
-            showMappingErrorBanner({ ok: false, error: String(e?.message ?? e) });
-        } catch {
-            // ignore
-        }
-    }
-})();
+const IGNORED_TAGS = new Set([
+    "SCRIPT",
+    "STYLE",
+    "TEXTAREA",
+    "INPUT",
+    "NOSCRIPT",
+    // 選択肢の文字は ruby にできないので、label 属性の側で訳す（translateOptionLabel）
+    "OPTION"
+]);
+
+const ENABLED_KEY = "okechikaEnabled";
+const RUBY_SWAP_KEY = "okechikaRubySwap";
+const DOMAIN_ONLY_KEY = "okechikaDomainOnly";
+const MARK_UNMAPPED_KEY = "okechikaMarkUnmapped";
+// 訳の見せ方: ruby=ルビ / replace=訳に置き換え / tooltip=マウスを乗せると原文 /
+// interlinear=原文の下に訳の行 / split=原文と訳を左右に並べる
+const DISPLAY_MODE_KEY = "okechikaDisplayMode";
+const DISPLAY_MODES = ["ruby", "replace", "tooltip", "interlinear", "split"];
+const DEFAULT_DISPLAY_MODE = "ruby";
+// true: 空白区切りごとではなく、対応表のキー（語句・ルールの一致を含む）ごとにルビを付ける
+const GLYPH_RUBY_KEY = "okechikaGlyphRuby";
+// true: 訳の上にマウスを乗せると、暗号・訳・由来・備考のカードを出す（未設定なら true）
+const INSPECTOR_KEY = "okechikaInspector";
+const TRANSLATED_STYLE_ID = "okechika-translater-style";
+// 本文以外に訳すもの（設定ページで選ぶ。未設定なら全部）。
+// option は <option> の表示名、document-title はタブの題名、それ以外は同名の属性
+const TRANSLATED_ATTRIBUTES_KEY = "okechikaTranslatedAttributes";
+const ATTRIBUTE_TARGETS = ["title", "alt", "aria-label", "placeholder", "option", "document-title"];
+const TRANSLATABLE_ATTRIBUTES = ["title", "alt", "aria-label", "placeholder"];
+// 属性の元の値は data-okechika-attr-<属性名> に残す。<option> に label 属性を足したときは印だけ付ける
+const ATTRIBUTE_BACKUP_PREFIX = "data-okechika-attr-";
+const OPTION_LABEL_ADDED_ATTR = "data-okechika-option-label";
+// カードで「要確認」の印を付けたキー { "暗号": { value, url, markedAt } }（設定ページで一覧する）
+const DOUBTFUL_KEYS_KEY = "okechikaDoubtfulKeys";
+// カードを出すまで / マウスが離れてから消すまでの待ち時間
+const INSPECTOR_SHOW_DELAY_MS = 500;
+const INSPECTOR_HIDE_DELAY_MS = 300;
+// background.js が保存する対応表（更新されたら開いているページにも反映する）
+const MAPPING_KEY = "cipherMapping";
+// ページごとの対応表の向きの手動指定 { "origin + pathname": "forward" | "reverse" }（ポップアップが書く）
+const DIRECTION_OVERRIDES_KEY = "okechikaDirectionOverrides";
+const DIRECTIONS = ["forward", "reverse"];
+
+// 向きの自動判定: ページ先頭から最大 DIRECTION_SAMPLE_CHARS 文字を抜き出し、両方向の一致率を比べる。
+// 数える文字が DIRECTION_MIN_CHARS に満たないときは判定せず forward のまま。
+// reverse（B列→A列）は、逆向きの一致率が DIRECTION_REVERSE_MIN_RATIO 以上で、
+// かつ順方向の DIRECTION_REVERSE_MARGIN 倍以上あるときだけ選ぶ（普通の日本語のページで誤作動しないように）
+const DIRECTION_SAMPLE_CHARS = 20000;
+const DIRECTION_MIN_CHARS = 20;
+const DIRECTION_REVERSE_MIN_RATIO = 0.5;
+const DIRECTION_REVERSE_MARGIN = 2;
+
+// 「桶地下サイトのみ翻訳」がONのときに翻訳を許可するドメイン
+const ALLOWED_HOSTS = new Set([
+    "0cacd3226ad7.ngrok.app",
+    "www.qtes9gu0k.xyz"
+]);
+
+// 同じ箇所に何度も置換が走る（初回＋リトライ＋MutationObserver）ため、
+// 置換後の文字列をさらに置換してしまう連鎖変換（例: 儺→下→確）を防ぐ。
+// span化できないケースでも、元の文字列を保持して常にそこから再計算する。
+const ORIGINAL_TEXT_BY_NODE = new WeakMap();
+// 属性やタブの題名に最後に書き込んだ訳（要素 → { 属性名: 値 }）。ページ側が後から書き換えたかの判定に使う
+const WRITTEN_VALUES = new WeakMap();
+// 訳の1区切りの要素 → 全文を区切ったときのその区切りの分（カードで同じ区切りを出すため）
+const SEGMENT_TOKENS = new WeakMap();
+
+// false: 本文=翻訳後 / ルビ=原文（従来）
+// true:  本文=原文 / ルビ=翻訳後
+let rubySwap = false;
+// true: 対応表に無い暗号文字の並びに印（okechika-unmapped）を付ける
+let markUnmapped = false;
+let displayMode = DEFAULT_DISPLAY_MODE;
+let glyphRuby = false;
+let inspectorEnabled = true;
+let typography = { ...DEFAULT_TYPOGRAPHY };
+let translatedAttributes = [...ATTRIBUTE_TARGETS];
+let doubtfulKeys = {};
+let domainOnly = true;
+
+function isAllowedOkechikaSite() {
+    const isAllowed = (proto, host) => {
+        const p = String(proto ?? "");
+        const h = String(host ?? "").toLowerCase();
+        if (p !== "http:" && p !== "https:") return false;
+        if (!h) return false;
+        return ALLOWED_HOSTS.has(h);
+    };
+
+    // 1) まずは「このフレーム自身のURL」で判定
+    try {
+        if (isAllowed(location?.protocol, location?.hostname)) return true;
+    } catch {
+        // ignore
+    }
+
+    // 2) same-origin の場合は top のURLで判定（srcdoc/about:blank iframe で有効）
+    try {
+        if (window.top && window.top !== window) {
+            if (isAllowed(window.top.location.protocol, window.top.location.hostname)) return true;
+        }
+    } catch {
+        // cross-origin の場合は例外になるため無視
+    }
+
+    // 3) ancestorOrigins / referrer から推測して判定
+    const candidates = [];
+    try {
+        const ao = location?.ancestorOrigins;
+        if (ao && ao.length) candidates.push(...ao);
+    } catch {
+        // ignore
+    }
+
+    try {
+        if (document.referrer) candidates.push(document.referrer);
+    } catch {
+        // ignore
+    }
+
+    for (let i = candidates.length - 1; i >= 0; i--) {
+        try {
+            const u = new URL(candidates[i]);
+            if (isAllowed(u.protocol, u.hostname)) return true;
+        } catch {
+            // ignore
+        }
+    }
+
+    return false;
+}
+
+function shouldIgnoreTextNode(textNode) {
+    const parent = textNode.parentElement;
+    if (!parent) return true;
+    if (IGNORED_TAGS.has(parent.tagName)) return true;
+    // ルビの注釈側(rt/rp)は翻訳対象にしない
+    if (parent.tagName === "RT" || parent.tagName === "RP") return true;
+    // interlinear / split で段落ごとに足した訳は、原文の側で数える
+    if (parent.closest(".okechika-side-translated")) return true;
+    const editable = parent.closest("[contenteditable='true']");
+    if (editable) {
+        // 表示専用ビューアが contenteditable を使うことがあるため、
+        // ユーザーが操作中（フォーカス中）のときだけ避ける。
+        const active = document.activeElement;
+        if (active && editable.contains(active)) return true;
+    }
+    return false;
+}
+
+// 向きの判定に数えない文字（ASCII と空白）。数字変換（例: ソ→28）で一致率が振れないようにする
+const DIRECTION_IGNORED_CHARS_RE = /[\x00-\x7f\s]/g;
+
+function countDirectionChars(text) {
+    return text.replace(DIRECTION_IGNORED_CHARS_RE, "").length;
+}
+
+// text のうち、tries のどれかのキーで覆われる文字数。どちらかの側が英数字だけの対応は数えない
+function measureCoverage(text, tries, map) {
+    let covered = 0;
+    let i = 0;
+    while (i < text.length) {
+        let len = 0;
+        for (const trie of tries) len = Math.max(len, longestMatchAt(trie, text, i));
+        if (len === 0) {
+            i++;
+            continue;
+        }
+        const key = text.slice(i, i + len);
+        const value = map.get(key);
+        if (value && /[^\x00-\x7f]/.test(key) && /[^\x00-\x7f]/.test(value)) covered += countDirectionChars(key);
+        i += len;
+    }
+    return covered;
+}
+
+// 向きの判定用に、翻訳前の本文を最大 limit 文字集める（拡張が入れた要素は原文の側を読む）
+function sampleTextForDirection(roots, limit) {
+    const parts = [];
+    let total = 0;
+    // 訳し済みの箇所はコンテナに残した原文を使う（対応表の更新後に判定し直すときのため）
+    const seenContainers = new Set();
+    for (const root of roots) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let n;
+        while (total < limit && (n = walker.nextNode())) {
+            if (shouldIgnoreTextNode(n)) continue;
+            const container = n.parentElement?.closest(".okechika-translated");
+            if (container && seenContainers.has(container)) continue;
+            if (container) seenContainers.add(container);
+            const text = container ? container.dataset.okechikaOriginal : ORIGINAL_TEXT_BY_NODE.get(n) ?? n.nodeValue;
+            if (!text || text.trim().length === 0) continue;
+            parts.push(text.slice(0, limit - total));
+            total += text.length;
+        }
+    }
+    return parts.join("\n");
+}
+
+// { direction, forward, reverse, sampledChars }。forward / reverse は一致率（0〜1）
+function detectMappingDirection(text, mapping, matcher) {
+    const sampledChars = countDirectionChars(text);
+    const result = { direction: "forward", forward: 0, reverse: 0, sampledChars };
+    if (sampledChars === 0) return result;
+
+    const forwardTries = [loadTrie(matcher?.phrase), loadTrie(matcher?.glyph)].filter(Boolean);
+    const reverseTrie = loadTrie(matcher?.reverse);
+    result.forward = measureCoverage(text, forwardTries, new Map(Object.entries(mapping ?? {}))) / sampledChars;
+    result.reverse = reverseTrie ? measureCoverage(text, [reverseTrie], buildReverseMap(mapping)) / sampledChars : 0;
+
+    if (
+        sampledChars >= DIRECTION_MIN_CHARS &&
+        result.reverse >= DIRECTION_REVERSE_MIN_RATIO &&
+        result.reverse >= result.forward * DIRECTION_REVERSE_MARGIN
+    ) {
+        result.direction = "reverse";
+    }
+    return result;
+}
+
+function buildTranslatedCss(t) {
+    const fontStack = buildFontStack(t.fontFamily);
+    // 既定のままの項目はページの指定に任せる（大きさ・色は指定されたときだけ当てる）
+    const base = [`font-family:${fontStack} !important;`];
+    if (t.sizeScale !== 1) base.push(`font-size:${t.sizeScale}em;`);
+    if (t.color) base.push(`color:${t.color};`);
+    if (t.highlight) base.push(`background-color:${t.highlight};`);
+    // ルビ(rt)はページ既定フォントのままにしたいので、翻訳本文側だけフォントを当てる。
+    // ルビ表示がページCSSで崩れることがあるため、最低限の ruby/rt スタイルも付与する。
+    return [
+        `.okechika-translated-base{${base.join(" ")}}`,
+        // 訳を入れた入力欄（値しか変えられないので、フォントだけ当てる）
+        `.okechika-translated-field{font-family:${fontStack} !important;}`,
+        // コンテナ配下の ruby だけにスタイルを当てる（コンテナ自体は span）
+        `.okechika-translated ruby{ruby-position:${t.rubyPosition}; ruby-align:center;}`,
+        `.okechika-translated ruby rt{font-size:${t.rtSize}em; line-height:1;}`,
+        // ルビ以外の見せ方（コンテナの data-okechika-mode で切り替える）
+        `.okechika-translated[data-okechika-mode="tooltip"] .okechika-segment{text-decoration:underline dotted; cursor:help;}`,
+        // interlinear / split は段落（ブロック）ごとに、訳の行・訳の列を1つ置く
+        `.okechika-side-translated[data-okechika-mode="interlinear"]{display:block; font-size:0.9em; opacity:0.85;}`,
+        `.okechika-side-block[data-okechika-mode="split"]{display:grid; grid-template-columns:1fr 1fr; gap:0 1em;}`,
+        // 対応表に無い暗号文字（シートの抜けを探す用）
+        `.okechika-unmapped{background:rgba(239,108,0,0.25); outline:1px dashed #ef6c00;}`,
+        // カードで「要確認」にしたキーを含む訳
+        `.okechika-doubtful{text-decoration:underline wavy #ef6c00;}`
+    ].join("\n");
+}
+
+// 訳の表示用のスタイルを root（document か open shadow root）に1つだけ入れる。
+// shadow root の中には document のスタイルが届かないので、訳を入れた shadow root ごとに入れる
+function ensureTranslatedStyle(root) {
+    const host = root?.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root : document;
+    if (host.getElementById?.(TRANSLATED_STYLE_ID)) return;
+    const style = document.createElement("style");
+    style.id = TRANSLATED_STYLE_ID;
+    style.textContent = buildTranslatedCss(typography);
+    (host === document ? document.documentElement : host).appendChild(style);
+}
+
+// 設定が変わったら、入れ済みのスタイルをまとめて書き換える（各フレームの content script がそれぞれ行う）
+function updateTranslatedStyles() {
+    const css = buildTranslatedCss(typography);
+    for (const host of [document, ...collectOpenShadowRoots(document.body)]) {
+        const style = host.getElementById?.(TRANSLATED_STYLE_ID);
+        if (style) style.textContent = css;
+    }
+}
+
+function createTranslatedRuby(original, translated) {
+    const ruby = document.createElement("ruby");
+    const base = document.createElement("span");
+    // ルビ表示入替時はフォントも入替える
+    // - 通常: 本文(翻訳後)に読みやすいフォントを適用
+    // - 入替: 本文(原文)はページ既定フォント、ルビ(翻訳後)に読みやすいフォントを適用
+    base.className = rubySwap ? "" : "okechika-translated-base";
+    base.textContent = rubySwap ? original : translated;
+    ruby.appendChild(base);
+    const rt = document.createElement("rt");
+    rt.className = rubySwap ? "okechika-translated-base" : "";
+    rt.textContent = rubySwap ? translated : original;
+    ruby.appendChild(rt);
+    // 右クリックの「訳を修正…」で元の暗号トークンを引けるようにする
+    ruby.dataset.okechikaOriginal = original;
+    return ruby;
+}
+
+// 対応表に無い暗号文字に印を付けるか（付けるときは、訳が変わらない文字列もコンテナに入れる）
+function needsUnmappedMark(text, replaceFn) {
+    if (!markUnmapped || !replaceFn?.isUnmapped) return false;
+    for (const ch of text) {
+        if (replaceFn.isUnmapped(ch)) return true;
+    }
+    return false;
+}
+
+// 1区切り分の訳を、表示のしかたに合わせた要素にする（どれも data-okechika-original に原文を持つ）
+function createTranslatedSegment(original, translated) {
+    if (displayMode === "ruby") return createTranslatedRuby(original, translated);
+    const span = document.createElement("span");
+    span.className = "okechika-segment okechika-translated-base";
+    span.textContent = translated;
+    if (displayMode === "tooltip") span.title = original;
+    span.dataset.okechikaOriginal = original;
+    return span;
+}
+
+function isDoubtfulToken(token) {
+    return token.value !== undefined && Object.prototype.hasOwnProperty.call(doubtfulKeys, token.text);
+}
+
+function createSegmentedTranslationFragment(originalText, replaceFn) {
+    const frag = document.createDocumentFragment();
+    const marking = markUnmapped && replaceFn.tokenize && replaceFn.isUnmapped;
+    // キーごとの区切りは置換の区切り（tokenize）を使うので、逆方向の表示では空白区切りのまま
+    const perKey = glyphRuby && replaceFn.tokenize;
+    const doubtful = Boolean(replaceFn.tokenize) && Object.keys(doubtfulKeys).length > 0;
+    const text = String(originalText ?? "");
+    // 区切りは全文を1度で置換した結果から作る（ルールの前後条件・語頭が空白をまたいでも効くように）。
+    // tokenize の無い逆方向の表示は、空白で分けてから1つずつ置換する
+    const parts = replaceFn.tokenize
+        ? splitTokensAtSpaces(replaceFn.tokenize(text))
+        : text.split(/(\s+)/).map((part) => ({ text: part, tokens: /^\s+$/.test(part) ? null : [] }));
+    for (const { text: part, tokens } of parts) {
+        if (!part) continue;
+        // スペース（連続含む）はそのまま
+        if (!tokens) {
+            frag.appendChild(document.createTextNode(part));
+            continue;
+        }
+
+        if (perKey) {
+            // 一致したキーは1つずつ訳の要素に、対応の無い文字は素のテキスト（印付け時は印付き）のまま
+            for (const token of tokens) {
+                if (token.value !== undefined && token.value !== token.text) {
+                    const segment = createTranslatedSegment(token.text, token.value);
+                    if (doubtful && isDoubtfulToken(token)) segment.classList.add("okechika-doubtful");
+                    SEGMENT_TOKENS.set(segment, [token]);
+                    frag.appendChild(segment);
+                } else if (marking) {
+                    appendMarkedTokens(frag, [token], replaceFn.isUnmapped);
+                } else {
+                    frag.appendChild(document.createTextNode(token.text));
+                }
+            }
+            continue;
+        }
+
+        const translated = replaceFn.tokenize ? joinTokens(tokens) : replaceFn(part);
+        if (translated === part) {
+            if (marking) appendMarkedTokens(frag, tokens, replaceFn.isUnmapped);
+            else frag.appendChild(document.createTextNode(part));
+        } else {
+            const segment = createTranslatedSegment(part, translated);
+            if (marking) {
+                // 本文側（ルビ入替時は原文）を、印付きで組み立て直す
+                const isRuby = segment.tagName === "RUBY";
+                const base = isRuby ? segment.firstChild : segment;
+                base.textContent = "";
+                appendMarkedTokens(base, tokens, replaceFn.isUnmapped, { useOriginal: isRuby && rubySwap });
+            }
+            if (doubtful && tokens.some(isDoubtfulToken)) segment.classList.add("okechika-doubtful");
+            if (replaceFn.tokenize) SEGMENT_TOKENS.set(segment, tokens);
+            frag.appendChild(segment);
+        }
+    }
+    return frag;
+}
+
+function isSideBySideMode() {
+    return displayMode === "interlinear" || displayMode === "split";
+}
+
+function fillTranslatedContainer(containerEl, originalText, replaceFn) {
+    while (containerEl.firstChild) containerEl.removeChild(containerEl.firstChild);
+    containerEl.dataset.okechikaMode = displayMode;
+    // interlinear / split では原文をそのまま残す（訳は renderSideTranslations が段落ごとにまとめて並べる）
+    if (isSideBySideMode()) {
+        containerEl.textContent = originalText;
+        return;
+    }
+    containerEl.appendChild(createSegmentedTranslationFragment(originalText, replaceFn));
+}
+
+function isInlineDisplay(el) {
+    const display = getComputedStyle(el).display;
+    // 切り離された要素などでは空になる
+    return !display || /^(inline|contents|ruby)/.test(display);
+}
+
+// interlinear / split で訳をまとめる段落。インライン表示の要素（リンク・強調など）を飛ばした、最も近いブロックの祖先
+function findSideBlock(el) {
+    let block = el;
+    for (let cur = el; cur; cur = cur.parentElement) {
+        // split で段落の中身をまとめた入れ物は拡張のもの
+        if (cur.classList.contains("okechika-side-block") || cur.classList.contains("okechika-side-original")) continue;
+        block = cur;
+        if (!isInlineDisplay(cur)) break;
+    }
+    return block;
+}
+
+// 段落の中身を、訳に並べる順に集める。訳したコンテナは { original }、それ以外の文字列は { text }、改行は { br }。
+// 入れ子のブロックは自分の訳を持つので含めない
+function collectSideBlockItems(block) {
+    const items = [];
+    const visit = (parent) => {
+        for (const node of parent.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (node.nodeValue) items.push({ text: node.nodeValue });
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            if (node.classList.contains("okechika-side-translated")) continue;
+            if (node.matches("span.okechika-translated[data-okechika-original]")) {
+                items.push({ original: node.dataset.okechikaOriginal });
+                continue;
+            }
+            if (node.tagName === "BR") {
+                items.push({ br: true });
+                continue;
+            }
+            if (IGNORED_TAGS.has(node.tagName) || node.tagName === "RT" || node.tagName === "RP") continue;
+            if (node.classList.contains("okechika-side-block") || node.classList.contains("okechika-side-original") || isInlineDisplay(node)) {
+                visit(node);
+            }
+        }
+    };
+    visit(block);
+    return items;
+}
+
+// 段落に足した訳を外す（split でまとめた中身は段落の直下に戻す）
+function clearSideTranslation(block) {
+    for (const child of [...block.children]) {
+        if (child.classList.contains("okechika-side-translated")) {
+            child.remove();
+        } else if (child.classList.contains("okechika-side-block")) {
+            const original = child.querySelector(":scope > .okechika-side-original");
+            child.replaceWith(...(original ? original.childNodes : []));
+        }
+    }
+}
+
+function clearSideTranslations(root) {
+    const blocks = new Set();
+    for (const el of root.querySelectorAll?.(".okechika-side-translated, .okechika-side-block") ?? []) {
+        if (el.parentElement) blocks.add(el.parentElement);
+    }
+    for (const block of blocks) clearSideTranslation(block);
+}
+
+// 段落ごとに訳を1つ置く。interlinear は段落の最後に訳の行を足し、split は段落の中身を左の列にまとめて右の列に訳を置く
+function renderSideTranslations(blocks, replaceFn) {
+    // 先に全部の段落を読んでから書き換える（表示の判定のたびにレイアウトを計算し直させない）
+    const planned = [...blocks].map((block) => [block, collectSideBlockItems(block)]);
+    for (const [block, items] of planned) {
+        const translated = document.createElement("span");
+        translated.className = "okechika-translated okechika-side-translated";
+        translated.dataset.okechikaMode = displayMode;
+        for (const item of items) {
+            if (item.br) translated.appendChild(document.createElement("br"));
+            else if (item.original !== undefined) translated.appendChild(createSegmentedTranslationFragment(item.original, replaceFn));
+            else translated.appendChild(document.createTextNode(item.text));
+        }
+
+        // split のまま描き直すときは訳の列だけ差し替える（中身を出し入れすると監視が再び翻訳を始めるため）
+        const row = block.querySelector(":scope > .okechika-side-block");
+        const previous = row?.querySelector(":scope > .okechika-side-translated");
+        if (displayMode === "split" && previous) {
+            previous.replaceWith(translated);
+            continue;
+        }
+        clearSideTranslation(block);
+        if (displayMode === "interlinear") {
+            block.appendChild(translated);
+            continue;
+        }
+        const original = document.createElement("span");
+        original.className = "okechika-side-original";
+        original.append(...block.childNodes);
+        const newRow = document.createElement("span");
+        newRow.className = "okechika-side-block";
+        newRow.dataset.okechikaMode = displayMode;
+        newRow.append(original, translated);
+        block.appendChild(newRow);
+    }
+}
+
+function canWrapWithSpan(parentEl) {
+    if (!parentEl) return false;
+    const tag = parentEl.tagName;
+    // span を子に置けない要素を避ける
+    if (tag === "SCRIPT" || tag === "STYLE" || tag === "NOSCRIPT") return false;
+    if (tag === "HEAD" || tag === "HTML") return false;
+    return true;
+}
+
+function translateRoot(root, replaceFn) {
+    // interlinear / split から切り替えたときは、段落ごとに足した訳を外す
+    if (!isSideBySideMode()) clearSideTranslations(root);
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+
+    let n;
+    while ((n = walker.nextNode())) {
+        nodes.push(n);
+    }
+
+    let changedNodes = 0;
+    const samples = [];
+
+    const processedWrappers = new Set();
+    // interlinear / split で訳を描き直す段落を探すための、原文を入れたコンテナ
+    const sideContainers = [];
+
+    for (const textNode of nodes) {
+        if (shouldIgnoreTextNode(textNode)) continue;
+
+        const current = textNode.nodeValue;
+        if (!current || current.trim().length === 0) continue;
+
+        const parent = textNode.parentElement;
+        const wrapper = parent?.closest
+            ? parent.closest("span.okechika-translated[data-okechika-original], ruby.okechika-translated[data-okechika-original]")
+            : null;
+
+        // 既に翻訳済みコンテナがある場合は、原文(=コンテナに保持)から一括で再計算して更新する
+        if (wrapper && wrapper.dataset?.okechikaOriginal !== undefined) {
+            if (processedWrappers.has(wrapper)) continue;
+
+            const original = wrapper.dataset.okechikaOriginal;
+            const after = replaceFn(original);
+
+            if (wrapper.tagName === "RUBY") {
+                // 旧形式(ruby直置き)をspanコンテナ形式に変換
+                const container = document.createElement("span");
+                container.className = "okechika-translated";
+                container.dataset.okechikaOriginal = original;
+                ensureTranslatedStyle(wrapper.getRootNode());
+                fillTranslatedContainer(container, original, replaceFn);
+                wrapper.replaceWith(container);
+                processedWrappers.add(container);
+                sideContainers.push(container);
+            } else {
+                ensureTranslatedStyle(wrapper.getRootNode());
+                fillTranslatedContainer(wrapper, original, replaceFn);
+                processedWrappers.add(wrapper);
+                sideContainers.push(wrapper);
+            }
+
+            changedNodes++;
+            if (samples.length < 3) {
+                samples.push({ before: String(original).slice(0, 80), after: String(after).slice(0, 80) });
+            }
+            continue;
+        }
+
+        const storedOriginal = ORIGINAL_TEXT_BY_NODE.get(textNode);
+        const original = storedOriginal ?? current;
+
+        const after = replaceFn(original);
+        const markOnly = after === current && parent && canWrapWithSpan(parent) && needsUnmappedMark(original, replaceFn);
+        if (after !== current || markOnly) {
+            if (parent && canWrapWithSpan(parent)) {
+                ensureTranslatedStyle(parent.getRootNode());
+                const container = document.createElement("span");
+                container.className = "okechika-translated";
+                container.dataset.okechikaOriginal = original;
+                fillTranslatedContainer(container, original, replaceFn);
+                parent.replaceChild(container, textNode);
+                sideContainers.push(container);
+            } else {
+                if (!ORIGINAL_TEXT_BY_NODE.has(textNode)) {
+                    ORIGINAL_TEXT_BY_NODE.set(textNode, original);
+                }
+                textNode.nodeValue = after;
+            }
+            changedNodes++;
+            if (samples.length < 3) {
+                samples.push({ before: String(original).slice(0, 80), after: String(after).slice(0, 80) });
+            }
+        }
+    }
+
+    if (isSideBySideMode() && sideContainers.length > 0) {
+        const blocks = new Set();
+        for (const container of sideContainers) {
+            if (container.parentElement) blocks.add(findSideBlock(container.parentElement));
+        }
+        renderSideTranslations(blocks, replaceFn);
+    }
+
+    return { changedNodes, samples };
+}
+
+function translateFormFields(root, replaceFn) {
+    let changed = 0;
+
+    const nodes = root.querySelectorAll?.(
+        "textarea, input:not([type]), input[type='text'], input[type='search'], input[type='url'], input[type='email'], input[type='tel']"
+    );
+    if (!nodes) return changed;
+
+    for (const el of nodes) {
+        try {
+            const tag = el.tagName;
+            const isActive = document.activeElement === el;
+            // 入力中は触らない
+            if (isActive) continue;
+
+            const current = tag === "TEXTAREA" ? el.value : el.value;
+            if (!current || current.trim().length === 0) continue;
+
+            const original = el.dataset.okechikaOriginal ?? current;
+            const after = replaceFn(original);
+            if (after !== current) {
+                if (!el.dataset.okechikaOriginal) el.dataset.okechikaOriginal = original;
+                el.value = after;
+                // フィールド自体も暗号用フォントを避ける（フォントは訳の表示用のスタイルで当てる）
+                ensureTranslatedStyle(el.getRootNode());
+                el.classList.add("okechika-translated-field");
+                changed++;
+            }
+        } catch {
+            // ignore
+        }
+    }
+
+    return changed;
+}
+
+function normalizeTranslatedAttributes(v) {
+    return Array.isArray(v) ? ATTRIBUTE_TARGETS.filter((name) => v.includes(name)) : [...ATTRIBUTE_TARGETS];
+}
+
+function rememberWrittenValue(el, key, value) {
+    const written = WRITTEN_VALUES.get(el) ?? {};
+    written[key] = value;
+    WRITTEN_VALUES.set(el, written);
+}
+
+// el の1つの値（属性やタブの題名）を訳して write で書き戻す。元の値は backupName の属性に残す。
+// 前回書き込んだ後にページ側が値を変えていたら、その値を新しい原文として扱う
+function translateBackedUpValue(el, key, backupName, current, write, replaceFn) {
+    const backup = el.getAttribute(backupName);
+    const written = WRITTEN_VALUES.get(el)?.[key];
+    const original = backup !== null && (written === undefined || current === written) ? backup : current;
+    const after = replaceFn(original);
+    if (after === original) {
+        // 対応表が変わって訳さなくなった場合は、原文に戻して控えも消す
+        if (backup !== null) el.removeAttribute(backupName);
+        if (current !== original) write(original);
+        return 0;
+    }
+    if (backup !== original) el.setAttribute(backupName, original);
+    rememberWrittenValue(el, key, after);
+    if (current === after) return 0;
+    write(after);
+    return 1;
+}
+
+// <option> の文字は select の中で ruby にできないので、表示名（label 属性）に訳を入れる。
+// 元から label 属性があればそれを訳し、無ければ文字から訳して足す（足した label 属性は戻すときに消す）
+function translateOptionLabel(el, replaceFn) {
+    if (el.hasAttribute("label") && !el.hasAttribute(OPTION_LABEL_ADDED_ATTR)) {
+        const current = el.getAttribute("label");
+        return translateBackedUpValue(el, "label", ATTRIBUTE_BACKUP_PREFIX + "label", current, (v) => el.setAttribute("label", v), replaceFn);
+    }
+    const text = el.text;
+    const after = replaceFn(text);
+    if (text.trim().length === 0 || after === text) {
+        if (el.hasAttribute(OPTION_LABEL_ADDED_ATTR)) {
+            el.removeAttribute("label");
+            el.removeAttribute(OPTION_LABEL_ADDED_ATTR);
+        }
+        return 0;
+    }
+    el.setAttribute(OPTION_LABEL_ADDED_ATTR, "");
+    if (el.getAttribute("label") === after) return 0;
+    el.setAttribute("label", after);
+    return 1;
+}
+
+function translateElementAttributes(el, replaceFn) {
+    // 拡張が入れた要素（tooltip 表示の title やカードなど）は訳さない
+    if (el.closest?.(".okechika-translated")) return 0;
+    let changed = 0;
+    for (const name of TRANSLATABLE_ATTRIBUTES) {
+        if (!translatedAttributes.includes(name)) continue;
+        const current = el.getAttribute(name);
+        if (!current || current.trim().length === 0) continue;
+        changed += translateBackedUpValue(el, name, ATTRIBUTE_BACKUP_PREFIX + name, current, (v) => el.setAttribute(name, v), replaceFn);
+    }
+    if (el.tagName === "OPTION" && translatedAttributes.includes("option")) changed += translateOptionLabel(el, replaceFn);
+    return changed;
+}
+
+// root（とその配下）の、設定で選んだ属性と <option> の表示名を訳す
+function translateAttributes(root, replaceFn) {
+    const selectors = TRANSLATABLE_ATTRIBUTES.filter((name) => translatedAttributes.includes(name)).map((name) => `[${name}]`);
+    if (translatedAttributes.includes("option")) selectors.push("option");
+    if (selectors.length === 0) return 0;
+    const selector = selectors.join(",");
+
+    const nodes = Array.from(root.querySelectorAll?.(selector) ?? []);
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) nodes.unshift(root);
+    let changed = 0;
+    for (const el of nodes) {
+        try {
+            changed += translateElementAttributes(el, replaceFn);
+        } catch {
+            // ignore
+        }
+    }
+    return changed;
+}
+
+// タブの題名（head の title 要素）。元の題名は title 要素の data-okechika-original に残す
+function translateDocumentTitle(replaceFn) {
+    if (!translatedAttributes.includes("document-title")) return 0;
+    const el = document.head?.querySelector("title");
+    if (!el) return 0;
+    const current = el.text;
+    if (current.trim().length === 0) return 0;
+    return translateBackedUpValue(el, "text", "data-okechika-original", current, (v) => {
+        el.text = v;
+    }, replaceFn);
+}
+
+function restoreTranslatedAttributes(root) {
+    const names = [...TRANSLATABLE_ATTRIBUTES, "label"];
+    const selector = [...names.map((name) => `[${ATTRIBUTE_BACKUP_PREFIX}${name}]`), `[${OPTION_LABEL_ADDED_ATTR}]`].join(",");
+    const nodes = Array.from(root.querySelectorAll?.(selector) ?? []);
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) nodes.unshift(root);
+    for (const el of nodes) {
+        for (const name of names) {
+            const backup = el.getAttribute(ATTRIBUTE_BACKUP_PREFIX + name);
+            if (backup === null) continue;
+            el.setAttribute(name, backup);
+            el.removeAttribute(ATTRIBUTE_BACKUP_PREFIX + name);
+        }
+        if (el.hasAttribute(OPTION_LABEL_ADDED_ATTR)) {
+            el.removeAttribute("label");
+            el.removeAttribute(OPTION_LABEL_ADDED_ATTR);
+        }
+    }
+}
+
+function restoreDocumentTitle() {
+    const el = document.head?.querySelector("title[data-okechika-original]");
+    if (!el) return;
+    el.text = el.dataset.okechikaOriginal;
+    try {
+        delete el.dataset.okechikaOriginal;
+    } catch {
+        // ignore
+    }
+}
+
+function collectOpenShadowRoots(root) {
+    const roots = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    let n;
+    while ((n = walker.nextNode())) {
+        if (n.shadowRoot) roots.push(n.shadowRoot);
+    }
+    // ネストした shadow root も拾う
+    for (let i = 0; i < roots.length; i++) {
+        const sr = roots[i];
+        const inner = document.createTreeWalker(sr, NodeFilter.SHOW_ELEMENT);
+        let e;
+        while ((e = inner.nextNode())) {
+            if (e.shadowRoot) roots.push(e.shadowRoot);
+        }
+    }
+    return roots;
+}
+
+async function getMappingFromBackground() {
+    try {
+        const res = await chrome.runtime.sendMessage({ type: "GET_MAPPING" });
+        return res ?? null;
+    } catch {
+        return null;
+    }
+}
+
+function showMappingErrorBanner(info) {
+    // ユーザー要望: 「置換が適用されません」系の警告バナーは不要。
+    // 対応表取得失敗などの実エラー（ok:false）のみ表示する。
+    if (info?.warning) return;
+
+    // 特殊なdocument（ごく稀）ではdocumentElementが無いことがある
+    if (!document?.documentElement) return;
+
+    const id = "okechika-translater-error";
+    if (document.getElementById(id)) return;
+
+    const box = document.createElement("div");
+    box.id = id;
+    box.style.position = "fixed";
+    box.style.left = "12px";
+    box.style.right = "12px";
+    box.style.bottom = "12px";
+    box.style.zIndex = "2147483647";
+    box.style.padding = "10px 12px";
+    box.style.border = "1px solid #d0d0d0";
+    box.style.background = "#ffffff";
+    box.style.color = "#111111";
+    box.style.font = "12px/1.4 system-ui, -apple-system, Segoe UI, sans-serif";
+    box.style.maxHeight = "35vh";
+    box.style.overflow = "auto";
+
+    const title = document.createElement("div");
+    title.textContent = info?.warning
+        ? "OkechikaTranslater: 置換が適用されません"
+        : "OkechikaTranslater: 対応表を取得できません";
+    title.style.fontWeight = "600";
+    title.style.marginBottom = "4px";
+
+    const body = document.createElement("div");
+    const status = info?.status ? ` (HTTP ${info.status})` : "";
+    const hint = info?.warning
+        ? "対応表の読み込みは成功しましたが、ページ本文で置換対象が見つかりませんでした。暗号文が画像/Canvas/閉じたShadow DOM内の場合や、対応表の向きが逆の場合に起きます。"
+        : info?.messageFailure
+            ? "拡張機能のバックグラウンドに接続できません。このページでは拡張が動作しないか、拡張が無効/未読み込みの可能性があります。"
+            : info?.privateOrAuthRequired
+                ? "スプレッドシートが非公開、または閲覧にログインが必要な可能性があります。"
+                : "スプレッドシートが公開（リンク閲覧可 / ウェブに公開）になっているか確認してください。";
+    const errText = info?.error ? `\n詳細: ${info.error}${status}` : "";
+    const countsText =
+        typeof info?.changedTextNodes === "number" || typeof info?.changedFields === "number"
+            ? `\n置換: テキスト ${info.changedTextNodes ?? 0} 件 / フィールド ${info.changedFields ?? 0} 件 / 属性 ${info.changedAttributes ?? 0} 件`
+            : "";
+    body.textContent = `${hint}${errText}${countsText}`;
+
+    box.appendChild(title);
+    box.appendChild(body);
+
+    document.documentElement.appendChild(box);
+}
+
+function showStaleNotice(info) {
+    // 取得失敗でも前回の対応表で翻訳は続けるため、控えめな通知だけ出す（トップフレームのみ）
+    if (window.top !== window) return;
+    if (!document?.documentElement) return;
+
+    const id = "okechika-translater-stale";
+    if (document.getElementById(id)) return;
+
+    const box = document.createElement("div");
+    box.id = id;
+    box.style.position = "fixed";
+    box.style.right = "12px";
+    box.style.bottom = "12px";
+    box.style.zIndex = "2147483647";
+    box.style.padding = "6px 10px";
+    box.style.border = "1px solid #d0d0d0";
+    box.style.borderRadius = "4px";
+    box.style.background = "#fffbe6";
+    box.style.color = "#111111";
+    box.style.font = "12px/1.4 system-ui, -apple-system, Segoe UI, sans-serif";
+    box.style.opacity = "0.9";
+    box.style.cursor = "pointer";
+    box.title = info?.lastError?.error ? `詳細: ${info.lastError.error}` : "";
+
+    let when = "";
+    try {
+        if (typeof info?.fetchedAt === "number") when = `（${new Date(info.fetchedAt).toLocaleString()} 時点）`;
+    } catch {
+        // ignore
+    }
+    box.textContent = `OkechikaTranslater: 対応表を更新できなかったため、前回の対応表${when}で翻訳しています`;
+
+    box.addEventListener("click", () => box.remove());
+    setTimeout(() => box.remove(), 8000);
+
+    document.documentElement.appendChild(box);
+}
+
+function showToast(message) {
+    if (!document?.documentElement) return;
+
+    const id = "okechika-translater-toast";
+    document.getElementById(id)?.remove();
+
+    const box = document.createElement("div");
+    box.id = id;
+    box.style.position = "fixed";
+    box.style.left = "50%";
+    box.style.bottom = "24px";
+    box.style.transform = "translateX(-50%)";
+    box.style.zIndex = "2147483647";
+    box.style.padding = "6px 12px";
+    box.style.borderRadius = "4px";
+    box.style.background = "#333333";
+    box.style.color = "#ffffff";
+    box.style.font = "12px/1.4 system-ui, -apple-system, Segoe UI, sans-serif";
+    box.textContent = message;
+
+    setTimeout(() => box.remove(), 3000);
+    document.documentElement.appendChild(box);
+}
+
+/**
+ * 翻訳済み ruby の近くに小さな編集フォームを出す。
+ * onSave(key, value) が Promise を返す場合は、完了するまでフォームを閉じない。
+ */
+function showTranslationEditor(anchorEl, original, translated, onSave) {
+    if (!document?.documentElement) return;
+
+    const id = "okechika-translater-editor";
+    document.getElementById(id)?.remove();
+
+    const box = document.createElement("div");
+    box.id = id;
+    // 拡張が入れた要素なので翻訳対象から外す
+    box.className = "okechika-translated";
+    box.style.position = "fixed";
+    box.style.zIndex = "2147483647";
+    box.style.padding = "8px 10px";
+    box.style.border = "1px solid #d0d0d0";
+    box.style.borderRadius = "4px";
+    box.style.background = "#ffffff";
+    box.style.color = "#111111";
+    box.style.boxShadow = "0 2px 8px rgba(0,0,0,0.2)";
+    box.style.font = "12px/1.4 system-ui, -apple-system, Segoe UI, sans-serif";
+    box.style.width = "280px";
+
+    const rect = anchorEl?.getBoundingClientRect?.();
+    const top = rect ? rect.bottom + 6 : 12;
+    const left = rect ? rect.left : 12;
+    box.style.top = `${Math.max(4, Math.min(top, window.innerHeight - 140))}px`;
+    box.style.left = `${Math.max(4, Math.min(left, window.innerWidth - 300))}px`;
+
+    const title = document.createElement("div");
+    title.textContent = "OkechikaTranslater: 訳を修正";
+    title.style.fontWeight = "600";
+    title.style.marginBottom = "6px";
+
+    const makeField = (labelText, value) => {
+        const label = document.createElement("label");
+        label.style.display = "block";
+        label.style.marginBottom = "4px";
+        label.textContent = labelText;
+        const input = document.createElement("input");
+        input.type = "text";
+        input.value = value;
+        input.style.display = "block";
+        input.style.width = "100%";
+        input.style.boxSizing = "border-box";
+        input.style.font = "inherit";
+        label.appendChild(input);
+        return { label, input };
+    };
+
+    const keyField = makeField("暗号（置換元）", original);
+    const valueField = makeField("訳（置換先）", translated);
+
+    const error = document.createElement("div");
+    error.style.color = "#c62828";
+
+    const buttons = document.createElement("div");
+    buttons.style.textAlign = "right";
+    buttons.style.marginTop = "6px";
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.textContent = "キャンセル";
+    const save = document.createElement("button");
+    save.type = "button";
+    save.textContent = "保存";
+    save.style.marginLeft = "6px";
+    buttons.appendChild(cancel);
+    buttons.appendChild(save);
+
+    const close = () => box.remove();
+
+    const submit = async () => {
+        const key = keyField.input.value.trim();
+        const value = valueField.input.value;
+        if (!key || value.trim().length === 0) {
+            error.textContent = "暗号と訳の両方を入力してください。";
+            return;
+        }
+        save.disabled = true;
+        try {
+            await onSave(key, value);
+            close();
+        } catch (e) {
+            error.textContent = `保存に失敗しました: ${String(e?.message ?? e)}`;
+            save.disabled = false;
+        }
+    };
+
+    cancel.addEventListener("click", close);
+    save.addEventListener("click", submit);
+    box.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") close();
+        if (e.key === "Enter") submit();
+    });
+
+    box.appendChild(title);
+    box.appendChild(keyField.label);
+    box.appendChild(valueField.label);
+    box.appendChild(error);
+    box.appendChild(buttons);
+    document.documentElement.appendChild(box);
+
+    valueField.input.focus();
+    valueField.input.select();
+}
+
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch {
+        // ページ側の権限設定で Clipboard API が使えない場合は、選択してコピーする
+    }
+    const area = document.createElement("textarea");
+    area.value = text;
+    area.style.position = "fixed";
+    area.style.opacity = "0";
+    document.documentElement.appendChild(area);
+    area.select();
+    let ok = false;
+    try {
+        ok = document.execCommand("copy");
+    } catch {
+        // ignore
+    }
+    area.remove();
+    return ok;
+}
+
+// 選択中の文字列（入力欄の中の選択も含む）と、結果を出す位置の目安
+function getSelectionForEncode(fallbackText) {
+    const active = document.activeElement;
+    if (
+        (active?.tagName === "TEXTAREA" || active?.tagName === "INPUT") &&
+        typeof active.selectionStart === "number" &&
+        active.selectionEnd > active.selectionStart
+    ) {
+        return {
+            text: active.value.slice(active.selectionStart, active.selectionEnd),
+            rect: active.getBoundingClientRect()
+        };
+    }
+    const selection = window.getSelection?.();
+    if (selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+        return { text: selection.toString(), rect: selection.getRangeAt(0).getBoundingClientRect() };
+    }
+    return { text: fallbackText ?? "", rect: null };
+}
+
+/**
+ * 逆変換（平文→暗号）の結果を、選択範囲の近くに小さな枠で出す。
+ */
+function showEncodedText(rect, plain, result) {
+    if (!document?.documentElement) return;
+
+    const id = "okechika-translater-encoded";
+    document.getElementById(id)?.remove();
+
+    const box = document.createElement("div");
+    box.id = id;
+    // 拡張が入れた要素なので翻訳対象から外す
+    box.className = "okechika-translated";
+    box.style.position = "fixed";
+    box.style.zIndex = "2147483647";
+    box.style.padding = "8px 10px";
+    box.style.border = "1px solid #d0d0d0";
+    box.style.borderRadius = "4px";
+    box.style.background = "#ffffff";
+    box.style.color = "#111111";
+    box.style.boxShadow = "0 2px 8px rgba(0,0,0,0.2)";
+    box.style.font = "12px/1.4 system-ui, -apple-system, Segoe UI, sans-serif";
+    box.style.width = "280px";
+
+    const top = rect ? rect.bottom + 6 : 12;
+    const left = rect ? rect.left : 12;
+    box.style.top = `${Math.max(4, Math.min(top, window.innerHeight - 160))}px`;
+    box.style.left = `${Math.max(4, Math.min(left, window.innerWidth - 300))}px`;
+
+    const title = document.createElement("div");
+    title.textContent = "OkechikaTranslater: 暗号にする";
+    title.style.fontWeight = "600";
+    title.style.marginBottom = "6px";
+
+    const source = document.createElement("div");
+    source.textContent = plain;
+    source.style.opacity = "0.75";
+    source.style.wordBreak = "break-all";
+    source.style.marginBottom = "4px";
+
+    const output = document.createElement("textarea");
+    output.readOnly = true;
+    output.rows = 3;
+    output.value = result.text;
+    output.style.display = "block";
+    output.style.width = "100%";
+    output.style.boxSizing = "border-box";
+    output.style.font = "inherit";
+
+    const note = document.createElement("div");
+    note.style.opacity = "0.75";
+    note.style.marginTop = "4px";
+    note.textContent = result.unmatched > 0 ? `対応表に無い文字 ${result.unmatched} 字はそのまま残しました。` : "";
+
+    const buttons = document.createElement("div");
+    buttons.style.textAlign = "right";
+    buttons.style.marginTop = "6px";
+    const close = document.createElement("button");
+    close.type = "button";
+    close.textContent = "閉じる";
+    const copy = document.createElement("button");
+    copy.type = "button";
+    copy.textContent = "コピー";
+    copy.style.marginLeft = "6px";
+    buttons.appendChild(close);
+    buttons.appendChild(copy);
+
+    close.addEventListener("click", () => box.remove());
+    copy.addEventListener("click", async () => {
+        const ok = await copyText(output.value);
+        showToast(ok ? "OkechikaTranslater: コピーしました" : "OkechikaTranslater: コピーできませんでした");
+        if (ok) box.remove();
+    });
+    box.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") box.remove();
+    });
+
+    box.appendChild(title);
+    box.appendChild(source);
+    box.appendChild(output);
+    box.appendChild(note);
+    box.appendChild(buttons);
+    document.documentElement.appendChild(box);
+
+    output.focus();
+    output.select();
+}
+
+async function encodeSelection(fallbackText) {
+    const { text, rect } = getSelectionForEncode(fallbackText);
+    if (!text.trim()) {
+        showToast("OkechikaTranslater: 暗号にする文字を選択してください");
+        return;
+    }
+    let result = null;
+    try {
+        result = await chrome.runtime.sendMessage({ type: "ENCODE_TEXT", text });
+    } catch {
+        // ignore
+    }
+    if (!result?.ok) {
+        showToast(`OkechikaTranslater: 暗号にできませんでした（${result?.error ?? "unknown"}）`);
+        return;
+    }
+    showEncodedText(rect, text, result);
+}
+
+// 右クリックされた（またはマウスを乗せた）位置の訳の1区切り（ルビ、またはルビ以外の見せ方の okechika-segment）
+function findTranslatedSegment(target) {
+    const el = target?.nodeType === Node.TEXT_NODE ? target.parentElement : target;
+    const segment = el?.closest?.("ruby, .okechika-segment");
+    if (!segment) return null;
+    if (!segment.closest(".okechika-translated")) return null;
+    return segment;
+}
+
+// 対応表ソースの表示名（id → 表示名）。未設定時の既定ソースも含めて background から受け取る
+async function getSourceLabels() {
+    try {
+        const res = await chrome.runtime.sendMessage({ type: "GET_SOURCES" });
+        const list = res?.ok ? res.sources : [];
+        return new Map((Array.isArray(list) ? list : []).map((source) => [source.id, source.label || source.id]));
+    } catch {
+        return new Map();
+    }
+}
+
+// 1キー分の由来と備考。origins の値は background.js の OVERRIDE_ORIGIN / PINNED_ORIGIN か、ソースの id
+function describeTokenSource(token, info, sourceLabels) {
+    const describeOrigin = (id) => {
+        if (id === "override") return "ローカル上書き";
+        if (id === "pinned") return "固定中の版";
+        if (!id) return "不明";
+        return `シート「${sourceLabels.get(id) ?? id}」`;
+    };
+    const rule = token.rule;
+    if (rule) {
+        const row = rule.row ? ` ${rule.row} 行目` : "";
+        return {
+            source: `ルール「${rule.rule ?? ""}」（${describeOrigin(rule.sourceId)}${row}）`,
+            note: rule.meta?.note ?? ""
+        };
+    }
+    return { source: describeOrigin(info?.origins?.[token.text]), note: info?.meta?.[token.text]?.note ?? "" };
+}
+
+/**
+ * 訳の1区切りの近くに、キーごとの訳・由来・備考とクイック操作を出す。
+ * detail は { original, translated, rows: [{ key, value, source, note }] }。
+ * actions は { onCopy(), onEdit(), isDoubtful(key), onToggleDoubtful(row, next) }。
+ */
+function showInspectorCard(anchorEl, detail, actions) {
+    if (!document?.documentElement) return null;
+
+    const id = "okechika-translater-inspector";
+    document.getElementById(id)?.remove();
+
+    const box = document.createElement("div");
+    box.id = id;
+    // 拡張が入れた要素なので翻訳対象から外す
+    box.className = "okechika-translated";
+    box.style.position = "fixed";
+    box.style.zIndex = "2147483647";
+    box.style.padding = "8px 10px";
+    box.style.border = "1px solid #d0d0d0";
+    box.style.borderRadius = "4px";
+    box.style.background = "#ffffff";
+    box.style.color = "#111111";
+    box.style.boxShadow = "0 2px 8px rgba(0,0,0,0.2)";
+    box.style.font = "12px/1.4 system-ui, -apple-system, Segoe UI, sans-serif";
+    box.style.width = "280px";
+    box.style.maxHeight = "50vh";
+    box.style.overflowY = "auto";
+
+    const rect = anchorEl?.getBoundingClientRect?.();
+    const top = rect ? rect.bottom + 6 : 12;
+    const left = rect ? rect.left : 12;
+    box.style.top = `${Math.max(4, Math.min(top, window.innerHeight - 160))}px`;
+    box.style.left = `${Math.max(4, Math.min(left, window.innerWidth - 300))}px`;
+
+    const title = document.createElement("div");
+    title.textContent = `${detail.original} → ${detail.translated}`;
+    title.style.fontWeight = "600";
+    title.style.marginBottom = "6px";
+    title.style.wordBreak = "break-all";
+    box.appendChild(title);
+
+    for (const row of detail.rows) {
+        const item = document.createElement("div");
+        item.style.borderTop = "1px solid #e0e0e0";
+        item.style.padding = "4px 0";
+
+        const head = document.createElement("div");
+        head.style.display = "flex";
+        head.style.gap = "6px";
+        head.style.alignItems = "center";
+        const pair = document.createElement("span");
+        pair.textContent = `${row.key} → ${row.value}`;
+        pair.style.flex = "1";
+        pair.style.wordBreak = "break-all";
+        const doubtful = document.createElement("button");
+        doubtful.type = "button";
+        const renderDoubtful = () => {
+            const marked = actions.isDoubtful(row.key);
+            doubtful.textContent = marked ? "要確認を外す" : "要確認";
+            doubtful.title = marked ? "要確認の印を外します" : "訳が怪しいキーとして印を付けます（設定ページで一覧できます）";
+        };
+        renderDoubtful();
+        doubtful.addEventListener("click", async () => {
+            doubtful.disabled = true;
+            try {
+                await actions.onToggleDoubtful(row, !actions.isDoubtful(row.key));
+            } catch {
+                // ignore
+            }
+            doubtful.disabled = false;
+            renderDoubtful();
+        });
+        head.appendChild(pair);
+        head.appendChild(doubtful);
+        item.appendChild(head);
+
+        const source = document.createElement("div");
+        source.textContent = `由来: ${row.source}`;
+        source.style.opacity = "0.75";
+        item.appendChild(source);
+
+        if (row.note) {
+            const note = document.createElement("div");
+            note.textContent = `備考: ${row.note}`;
+            note.style.whiteSpace = "pre-wrap";
+            item.appendChild(note);
+        }
+        box.appendChild(item);
+    }
+
+    const status = document.createElement("div");
+    status.style.opacity = "0.75";
+
+    const buttons = document.createElement("div");
+    buttons.style.textAlign = "right";
+    buttons.style.marginTop = "6px";
+    const copy = document.createElement("button");
+    copy.type = "button";
+    copy.textContent = "訳をコピー";
+    copy.addEventListener("click", async () => {
+        const ok = await actions.onCopy();
+        status.textContent = ok ? "コピーしました" : "コピーできませんでした";
+    });
+    const edit = document.createElement("button");
+    edit.type = "button";
+    edit.textContent = "訳を修正…";
+    edit.style.marginLeft = "6px";
+    edit.addEventListener("click", () => actions.onEdit());
+    buttons.appendChild(copy);
+    buttons.appendChild(edit);
+
+    box.appendChild(status);
+    box.appendChild(buttons);
+    document.documentElement.appendChild(box);
+    return box;
+}
+
+// ページ上の対応表に無い暗号文字と出現数（翻訳済みの箇所はコンテナに残した原文から数える）
+function countUnmappedGlyphs(roots, replaceFn) {
+    const counts = new Map();
+    const seen = new Set();
+    const add = (text) => {
+        if (!text) return;
+        for (const token of replaceFn.tokenize(text)) {
+            if (token.value !== undefined) continue;
+            for (const ch of token.text) {
+                if (replaceFn.isUnmapped(ch)) counts.set(ch, (counts.get(ch) ?? 0) + 1);
+            }
+        }
+    };
+    for (const root of roots) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let n;
+        while ((n = walker.nextNode())) {
+            if (shouldIgnoreTextNode(n)) continue;
+            const container = n.parentElement?.closest("span.okechika-translated[data-okechika-original]");
+            if (container) {
+                if (seen.has(container)) continue;
+                seen.add(container);
+                add(container.dataset.okechikaOriginal);
+                continue;
+            }
+            add(ORIGINAL_TEXT_BY_NODE.get(n) ?? n.nodeValue);
+        }
+    }
+    return counts;
+}
+
+// 表示中の文字列から glyph の index 番目（0 始まり、数を超えたら先頭に戻る）を探し、そこまでスクロールして選択する
+function jumpToGlyph(roots, glyph, index) {
+    if (!glyph) return { ok: false, error: "not-found", count: 0 };
+    const hits = [];
+    for (const root of roots) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let n;
+        while ((n = walker.nextNode())) {
+            if (shouldIgnoreTextNode(n)) continue;
+            const text = n.nodeValue ?? "";
+            for (let pos = text.indexOf(glyph); pos >= 0; pos = text.indexOf(glyph, pos + glyph.length)) {
+                hits.push([n, pos]);
+            }
+        }
+    }
+    if (hits.length === 0) return { ok: false, error: "not-found", count: 0 };
+
+    const i = ((index % hits.length) + hits.length) % hits.length;
+    const [node, pos] = hits[i];
+    try {
+        node.parentElement?.scrollIntoView({ block: "center" });
+        const range = document.createRange();
+        range.setStart(node, pos);
+        range.setEnd(node, pos + glyph.length);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    } catch {
+        // ignore
+    }
+    return { ok: true, index: i, count: hits.length };
+}
+
+async function getEnabledFlag() {
+    try {
+        const obj = await chrome.storage.local.get(ENABLED_KEY);
+        const v = obj?.[ENABLED_KEY];
+        return v === undefined ? true : Boolean(v);
+    } catch {
+        return true;
+    }
+}
+
+async function getRubySwapFlag() {
+    try {
+        const obj = await chrome.storage.local.get(RUBY_SWAP_KEY);
+        const v = obj?.[RUBY_SWAP_KEY];
+        return v === undefined ? false : Boolean(v);
+    } catch {
+        return false;
+    }
+}
+
+// このページ（origin + pathname）に手動で指定された向き。無ければ null（自動判定）
+async function getDirectionOverride(pageKey) {
+    try {
+        const obj = await chrome.storage.local.get(DIRECTION_OVERRIDES_KEY);
+        const v = obj?.[DIRECTION_OVERRIDES_KEY]?.[pageKey];
+        return DIRECTIONS.includes(v) ? v : null;
+    } catch {
+        return null;
+    }
+}
+
+async function getMarkUnmappedFlag() {
+    try {
+        const obj = await chrome.storage.local.get(MARK_UNMAPPED_KEY);
+        return Boolean(obj?.[MARK_UNMAPPED_KEY]);
+    } catch {
+        return false;
+    }
+}
+
+async function getDisplayMode() {
+    try {
+        const obj = await chrome.storage.local.get(DISPLAY_MODE_KEY);
+        const v = obj?.[DISPLAY_MODE_KEY];
+        return DISPLAY_MODES.includes(v) ? v : DEFAULT_DISPLAY_MODE;
+    } catch {
+        return DEFAULT_DISPLAY_MODE;
+    }
+}
+
+async function getGlyphRubyFlag() {
+    try {
+        const obj = await chrome.storage.local.get(GLYPH_RUBY_KEY);
+        return Boolean(obj?.[GLYPH_RUBY_KEY]);
+    } catch {
+        return false;
+    }
+}
+
+async function getInspectorFlag() {
+    try {
+        const obj = await chrome.storage.local.get(INSPECTOR_KEY);
+        const v = obj?.[INSPECTOR_KEY];
+        return v === undefined ? true : Boolean(v);
+    } catch {
+        return true;
+    }
+}
+
+function normalizeDoubtfulKeys(v) {
+    return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+}
+
+async function getDoubtfulKeys() {
+    try {
+        const obj = await chrome.storage.local.get(DOUBTFUL_KEYS_KEY);
+        return normalizeDoubtfulKeys(obj?.[DOUBTFUL_KEYS_KEY]);
+    } catch {
+        return {};
+    }
+}
+
+// key に「要確認」の印を付ける（value が null なら外す）。付けたときの訳とページも残す
+async function setDoubtfulKey(key, value) {
+    const { [key]: _removed, ...rest } = await getDoubtfulKeys();
+    const next = value === null ? rest : { ...rest, [key]: { value, url: location.href, markedAt: Date.now() } };
+    await chrome.storage.local.set({ [DOUBTFUL_KEYS_KEY]: next });
+}
+
+async function getTypography() {
+    try {
+        const obj = await chrome.storage.local.get(TYPOGRAPHY_KEY);
+        return normalizeTypography(obj?.[TYPOGRAPHY_KEY]);
+    } catch {
+        return { ...DEFAULT_TYPOGRAPHY };
+    }
+}
+
+async function getTranslatedAttributes() {
+    try {
+        const obj = await chrome.storage.local.get(TRANSLATED_ATTRIBUTES_KEY);
+        return normalizeTranslatedAttributes(obj?.[TRANSLATED_ATTRIBUTES_KEY]);
+    } catch {
+        return [...ATTRIBUTE_TARGETS];
+    }
+}
+
+async function getDomainOnlyFlag() {
+    try {
+        const obj = await chrome.storage.local.get(DOMAIN_ONLY_KEY);
+        const v = obj?.[DOMAIN_ONLY_KEY];
+        return v === undefined ? true : Boolean(v);
+    } catch {
+        return true;
+    }
+}
+
+function restoreTranslatedInRoot(root) {
+    try {
+        clearSideTranslations(root);
+        const translated = root.querySelectorAll?.(
+            "span.okechika-translated[data-okechika-original], ruby.okechika-translated[data-okechika-original]"
+        );
+        if (translated) {
+            for (const el of translated) {
+                const original = el.dataset.okechikaOriginal;
+                if (original === undefined) continue;
+                el.replaceWith(document.createTextNode(original));
+            }
+        }
+
+        restoreTranslatedAttributes(root);
+        // タブの題名は head 側にあるので、本文を戻すときに一緒に戻す
+        if (root === document.body) restoreDocumentTitle();
+
+        const fields = root.querySelectorAll?.("textarea[data-okechika-original], input[data-okechika-original]");
+        if (fields) {
+            for (const el of fields) {
+                const original = el.dataset.okechikaOriginal;
+                if (original === undefined) continue;
+                el.value = original;
+                el.classList.remove("okechika-translated-field");
+                try {
+                    delete el.dataset.okechikaOriginal;
+                } catch {
+                    // ignore
+                }
+            }
+        }
+    } catch {
+        // ignore
+    }
+}
+
+(async () => {
+    try {
+        console.info("[OkechikaTranslater] content script loaded", location.href);
+
+        if (!document.body) {
+            await new Promise((resolve) => {
+                document.addEventListener("DOMContentLoaded", resolve, { once: true });
+            });
+        }
+
+        if (!document.body) {
+            throw new Error("document.body is not available");
+        }
+
+        let enabled = await getEnabledFlag();
+        rubySwap = await getRubySwapFlag();
+        domainOnly = await getDomainOnlyFlag();
+        markUnmapped = await getMarkUnmappedFlag();
+        displayMode = await getDisplayMode();
+        glyphRuby = await getGlyphRubyFlag();
+        inspectorEnabled = await getInspectorFlag();
+        typography = await getTypography();
+        translatedAttributes = await getTranslatedAttributes();
+        doubtfulKeys = await getDoubtfulKeys();
+        let observer = null;
+        let replaceFn = null;
+        // 対応表の向きはページ（フレーム）ごとに決める。手動指定は origin + pathname 単位で覚える
+        const pageKey = location.origin + location.pathname;
+        let mappingInfo = null;
+        let direction = "forward";
+        let directionOverride = null;
+        let detectedDirection = null;
+
+        function buildPageReplacer(info) {
+            if (direction === "reverse") return buildReverseReplacer(info.mapping, info.matcher);
+            const fn = buildReplacer(info.mapping, info.matcher, info.rules);
+            // 対応表に無い暗号文字の印付け・一覧（順方向のときだけ）
+            if (fn) fn.isUnmapped = buildUnmappedGlyphTest(info.mapping);
+            return fn;
+        }
+
+        function pageRoots() {
+            return [document.body, ...collectOpenShadowRoots(document.body)];
+        }
+
+        function stopAndRestore() {
+            try {
+                observer?.disconnect();
+            } catch {
+                // ignore
+            }
+            observer = null;
+
+            restoreTranslatedInRoot(document.body);
+            for (const sr of collectOpenShadowRoots(document.body)) {
+                restoreTranslatedInRoot(sr);
+            }
+        }
+
+        async function startIfNeeded() {
+            if (!enabled) return;
+            if (domainOnly && !isAllowedOkechikaSite()) return;
+            if (observer) return;
+
+            // 対応表の更新（TTL/定期更新）は background 側に任せ、ここではキャッシュを読むだけ
+            const result = await getMappingFromBackground();
+            if (!result) {
+                showMappingErrorBanner({ ok: false, error: "Failed to message background", messageFailure: true });
+                console.warn("[OkechikaTranslater] failed to get mapping (message failed)");
+                return;
+            }
+
+            if (!result.ok) {
+                showMappingErrorBanner(result);
+                console.warn("[OkechikaTranslater] mapping not ok", result);
+                return;
+            }
+
+            const mapping = result.mapping ?? null;
+            if (!mapping) {
+                showMappingErrorBanner({ ok: false, error: "No mapping in storage" });
+                console.warn("[OkechikaTranslater] no mapping in storage");
+                return;
+            }
+
+            if (result.stale) {
+                showStaleNotice(result);
+                console.warn("[OkechikaTranslater] using stale mapping", result.lastError);
+            }
+
+            // マッピング方向（A列→B列 / B列→A列）は、手動指定が無ければ翻訳前の本文から判定する。
+            // 数字変換（例: ソ→28）で誤作動しないよう、英数字だけの対応は数えない
+            directionOverride = await getDirectionOverride(pageKey);
+            detectedDirection = detectMappingDirection(
+                sampleTextForDirection(pageRoots(), DIRECTION_SAMPLE_CHARS),
+                mapping,
+                result.matcher
+            );
+            direction = directionOverride ?? detectedDirection.direction;
+            console.info("[OkechikaTranslater] mapping direction", {
+                chosen: direction,
+                override: directionOverride,
+                ...detectedDirection
+            });
+
+            mappingInfo = result;
+            replaceFn = buildPageReplacer(result);
+            if (!replaceFn) {
+                showMappingErrorBanner({ ok: false, error: "Mapping is empty" });
+                console.warn("[OkechikaTranslater] mapping is empty");
+                return;
+            }
+
+            function translateAllRoots(fn) {
+                let changedTextNodes = 0;
+                let changedFields = 0;
+                let changedAttributes = 0;
+                const sampleChanges = [];
+
+                const r1 = translateRoot(document.body, fn);
+                changedTextNodes += r1.changedNodes;
+                sampleChanges.push(...r1.samples);
+                changedFields += translateFormFields(document.body, fn);
+                changedAttributes += translateAttributes(document.body, fn) + translateDocumentTitle(fn);
+
+                for (const sr of collectOpenShadowRoots(document.body)) {
+                    const r = translateRoot(sr, fn);
+                    changedTextNodes += r.changedNodes;
+                    sampleChanges.push(...r.samples);
+                    // shadow root 内の input/textarea は基本少ないが、一応
+                    try {
+                        changedFields += translateFormFields(sr, fn);
+                        changedAttributes += translateAttributes(sr, fn);
+                    } catch {
+                        // ignore
+                    }
+                }
+
+                return { changedTextNodes, changedFields, changedAttributes, sampleChanges: sampleChanges.slice(0, 3) };
+            }
+
+            function rerenderAllRoots() {
+                if (!replaceFn) return;
+                try {
+                    translateAllRoots(replaceFn);
+                } catch {
+                    // ignore
+                }
+            }
+
+            // 初回翻訳
+            let changed = translateAllRoots(replaceFn);
+
+            const totalReplacements =
+                (changed.changedTextNodes ?? 0) + (changed.changedFields ?? 0) + (changed.changedAttributes ?? 0);
+            if (totalReplacements === 0) {
+                showMappingErrorBanner({ warning: true, error: "0 replacements", ...changed });
+                console.warn("[OkechikaTranslater] 0 replacements; nothing to translate");
+            } else {
+                console.info("[OkechikaTranslater] initial replacements", changed);
+
+                // 少なすぎる場合は、ユーザーが見ている本文に効いていない可能性が高いので注意喚起
+                if (totalReplacements < 10) {
+                    showMappingErrorBanner({ warning: true, error: "Too few replacements", ...changed });
+                    console.warn("[OkechikaTranslater] too few replacements", changed);
+                }
+            }
+
+            // SPA/ビューアで遅れて描画される場合があるので、数回だけ再実行
+            const retryDelaysMs = [500, 1500, 3000];
+            for (const d of retryDelaysMs) {
+                setTimeout(() => {
+                    try {
+                        if (!enabled) return;
+                        const retry = translateAllRoots(replaceFn);
+                        const retryTotal =
+                            (retry.changedTextNodes ?? 0) + (retry.changedFields ?? 0) + (retry.changedAttributes ?? 0);
+                        if (retryTotal > 0) {
+                            console.info("[OkechikaTranslater] retry replacements", { delayMs: d, ...retry });
+                        }
+                    } catch {
+                        // ignore
+                    }
+                }, d);
+            }
+
+            // 追加・更新された箇所を翻訳
+            let scheduled = false;
+            const pendingRoots = new Set();
+            // 属性だけが変わった要素（配下は訳し直さない）と、タブの題名の変更
+            const pendingAttributeTargets = new Set();
+            let pendingTitle = false;
+            let isApplying = false;
+
+            function isInsideTranslated(node) {
+                try {
+                    if (!node) return false;
+                    const el =
+                        node.nodeType === Node.ELEMENT_NODE
+                            ? node
+                            : node.nodeType === Node.TEXT_NODE
+                                ? node.parentElement
+                                : null;
+                    if (!el) return false;
+                    if (el.classList?.contains("okechika-translated")) return true;
+                    // split で段落の中身をまとめた入れ物（中身はページの要素のまま）
+                    if (el.classList?.contains("okechika-side-block")) return true;
+                    return Boolean(el.closest?.(".okechika-translated"));
+                } catch {
+                    return false;
+                }
+            }
+
+            function scheduleTranslate(observer) {
+                if (scheduled) return;
+                scheduled = true;
+                queueMicrotask(() => {
+                    scheduled = false;
+                    const roots = Array.from(pendingRoots);
+                    pendingRoots.clear();
+                    const attributeTargets = Array.from(pendingAttributeTargets);
+                    pendingAttributeTargets.clear();
+                    const titleChanged = pendingTitle;
+                    pendingTitle = false;
+
+                    if (isApplying) return;
+                    isApplying = true;
+                    try {
+                        for (const r of roots) {
+                            if (!r) continue;
+                            // 拡張が入れた要素配下は監視経由で再翻訳しない
+                            if (isInsideTranslated(r)) continue;
+                            if (r.nodeType === Node.ELEMENT_NODE || r.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+                                try {
+                                    translateRoot(r, replaceFn);
+                                } catch {
+                                    // ignore
+                                }
+                                try {
+                                    if (r.nodeType === Node.ELEMENT_NODE) translateFormFields(r, replaceFn);
+                                } catch {
+                                    // ignore
+                                }
+                                try {
+                                    translateAttributes(r, replaceFn);
+                                } catch {
+                                    // ignore
+                                }
+                            }
+                        }
+
+                        for (const el of attributeTargets) {
+                            try {
+                                translateElementAttributes(el, replaceFn);
+                            } catch {
+                                // ignore
+                            }
+                        }
+                        if (titleChanged) {
+                            try {
+                                translateDocumentTitle(replaceFn);
+                            } catch {
+                                // ignore
+                            }
+                        }
+
+                        // 新規に追加された open shadow root も追従
+                        for (const sr of collectOpenShadowRoots(document.body)) {
+                            try {
+                                translateRoot(sr, replaceFn);
+                            } catch {
+                                // ignore
+                            }
+                            try {
+                                translateFormFields(sr, replaceFn);
+                            } catch {
+                                // ignore
+                            }
+                            try {
+                                translateAttributes(sr, replaceFn);
+                            } catch {
+                                // ignore
+                            }
+                        }
+                    } finally {
+                        isApplying = false;
+                    }
+                });
+            }
+
+            observer = new MutationObserver((mutations) => {
+                // 翻訳適用中のDOM変更は全て無視（自分で入れた変更が再トリガーになるのを防ぐ）
+                if (isApplying) return;
+
+                for (const m of mutations) {
+                    // head の中で見ているのはタブの題名だけ
+                    if (document.head?.contains(m.target)) {
+                        pendingTitle = true;
+                        continue;
+                    }
+
+                    if (m.type === "attributes") {
+                        if (m.target?.nodeType === Node.ELEMENT_NODE && !isInsideTranslated(m.target)) {
+                            pendingAttributeTargets.add(m.target);
+                        }
+                        continue;
+                    }
+
+                    if (m.type === "characterData") {
+                        if (m.target?.nodeType === Node.TEXT_NODE) {
+                            if (!isInsideTranslated(m.target)) {
+                                pendingRoots.add(m.target.parentElement ?? document.body);
+                            }
+                        }
+                        continue;
+                    }
+
+                    if (m.type === "childList") {
+                        for (const node of m.addedNodes) {
+                            if (isInsideTranslated(node)) continue;
+                            if (node.nodeType === Node.ELEMENT_NODE) pendingRoots.add(node);
+                            else if (node.nodeType === Node.TEXT_NODE) pendingRoots.add(node.parentElement ?? document.body);
+                        }
+                    }
+                }
+
+                if (!enabled) return;
+                scheduleTranslate(observer);
+            });
+
+            observer.observe(document.body, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                // 訳すかどうかは設定で変わるので、対象になりうる属性はすべて見ておく
+                attributes: true,
+                attributeFilter: [...TRANSLATABLE_ATTRIBUTES, "label"]
+            });
+            if (document.head) {
+                observer.observe(document.head, { childList: true, subtree: true, characterData: true });
+            }
+
+            // startIfNeeded の呼び出しスコープ内でのみ使われるので、参照を残す
+            startIfNeeded.rerenderAllRoots = rerenderAllRoots;
+        }
+
+        // background で対応表が更新されたら、リロード無しで差し替える
+        function applyUpdatedMapping(info, previous) {
+            if (!info?.ok || !info.mapping) return;
+            // 再試行の失敗記録（lastError）だけが変わった場合などは描き直さない
+            if (
+                previous?.mapping &&
+                JSON.stringify(previous.mapping) === JSON.stringify(info.mapping) &&
+                JSON.stringify(previous.phraseKeys ?? []) === JSON.stringify(info.phraseKeys ?? []) &&
+                JSON.stringify(previous.rules ?? []) === JSON.stringify(info.rules ?? [])
+            ) {
+                return;
+            }
+            if (!enabled) return;
+            if (domainOnly && !isAllowedOkechikaSite()) return;
+
+            // まだ開始できていない（初回に対応表が無かった）場合は、ここから開始する
+            if (!observer) {
+                startIfNeeded();
+                return;
+            }
+
+            mappingInfo = info;
+            // 空・古い対応表で判定した向きのままにしないよう、手動指定が無ければ新しい表で判定し直す
+            detectedDirection = detectMappingDirection(
+                sampleTextForDirection(pageRoots(), DIRECTION_SAMPLE_CHARS),
+                info.mapping,
+                info.matcher
+            );
+            direction = directionOverride ?? detectedDirection.direction;
+            const next = buildPageReplacer(info);
+            if (!next) return;
+            replaceFn = next;
+            try {
+                startIfNeeded.rerenderAllRoots?.();
+            } catch {
+                // ignore
+            }
+        }
+
+        // ポップアップで向きを指定（または自動に戻す）したら、原文から訳し直す
+        function applyDirectionOverride(overrides) {
+            const next = DIRECTIONS.includes(overrides?.[pageKey]) ? overrides[pageKey] : null;
+            if (next === directionOverride) return;
+            directionOverride = next;
+            const chosen = next ?? detectedDirection?.direction ?? "forward";
+            if (chosen === direction) return;
+            direction = chosen;
+            console.info("[OkechikaTranslater] mapping direction", { chosen: direction, override: directionOverride });
+
+            if (!observer || !mappingInfo) return;
+            const fn = buildPageReplacer(mappingInfo);
+            if (!fn) return;
+            replaceFn = fn;
+            try {
+                startIfNeeded.rerenderAllRoots?.();
+            } catch {
+                // ignore
+            }
+        }
+
+        // ポップアップに出す、このページでの向きの判定結果
+        function getPageDirectionState() {
+            return {
+                ok: true,
+                pageKey,
+                active: Boolean(observer),
+                direction,
+                override: directionOverride,
+                detected: detectedDirection
+            };
+        }
+
+        // 初期状態に応じて開始
+        await startIfNeeded();
+
+        // ポップアップの切替に追従
+        try {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName !== "local") return;
+                if (!changes) return;
+
+                if (Object.prototype.hasOwnProperty.call(changes, ENABLED_KEY)) {
+                    const newValue = changes[ENABLED_KEY]?.newValue;
+                    const next = newValue === undefined ? true : Boolean(newValue);
+                    if (next !== enabled) {
+                        enabled = next;
+                        if (enabled) startIfNeeded();
+                        else stopAndRestore();
+                    }
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, RUBY_SWAP_KEY)) {
+                    const newValue = changes[RUBY_SWAP_KEY]?.newValue;
+                    const next = newValue === undefined ? false : Boolean(newValue);
+                    if (next !== rubySwap) {
+                        rubySwap = next;
+                        if (enabled) {
+                            // 既存の翻訳DOMを入れ替え反映
+                            try {
+                                startIfNeeded.rerenderAllRoots?.();
+                            } catch {
+                                // ignore
+                            }
+                        }
+                    }
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, DISPLAY_MODE_KEY)) {
+                    const newValue = changes[DISPLAY_MODE_KEY]?.newValue;
+                    const next = DISPLAY_MODES.includes(newValue) ? newValue : DEFAULT_DISPLAY_MODE;
+                    if (next !== displayMode) {
+                        displayMode = next;
+                        if (enabled) {
+                            // 既存の翻訳DOMを、原文から新しい見せ方で描き直す
+                            try {
+                                startIfNeeded.rerenderAllRoots?.();
+                            } catch {
+                                // ignore
+                            }
+                        }
+                    }
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, GLYPH_RUBY_KEY)) {
+                    const next = Boolean(changes[GLYPH_RUBY_KEY]?.newValue);
+                    if (next !== glyphRuby) {
+                        glyphRuby = next;
+                        if (enabled) {
+                            try {
+                                startIfNeeded.rerenderAllRoots?.();
+                            } catch {
+                                // ignore
+                            }
+                        }
+                    }
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, DOUBTFUL_KEYS_KEY)) {
+                    doubtfulKeys = normalizeDoubtfulKeys(changes[DOUBTFUL_KEYS_KEY]?.newValue);
+                    if (enabled) {
+                        // 要確認の印（波線）を付け直す
+                        try {
+                            startIfNeeded.rerenderAllRoots?.();
+                        } catch {
+                            // ignore
+                        }
+                    }
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, TYPOGRAPHY_KEY)) {
+                    // 描き直しは要らず、スタイルの中身だけ差し替える
+                    typography = normalizeTypography(changes[TYPOGRAPHY_KEY]?.newValue);
+                    updateTranslatedStyles();
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, TRANSLATED_ATTRIBUTES_KEY)) {
+                    translatedAttributes = normalizeTranslatedAttributes(changes[TRANSLATED_ATTRIBUTES_KEY]?.newValue);
+                    if (enabled && observer) {
+                        // 外した対象は元に戻し、残りは原文から訳し直す
+                        try {
+                            for (const root of pageRoots()) restoreTranslatedAttributes(root);
+                            restoreDocumentTitle();
+                            startIfNeeded.rerenderAllRoots?.();
+                        } catch {
+                            // ignore
+                        }
+                    }
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, INSPECTOR_KEY)) {
+                    const newValue = changes[INSPECTOR_KEY]?.newValue;
+                    inspectorEnabled = newValue === undefined ? true : Boolean(newValue);
+                    if (!inspectorEnabled) hideInspector();
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, MARK_UNMAPPED_KEY)) {
+                    const next = Boolean(changes[MARK_UNMAPPED_KEY]?.newValue);
+                    if (next !== markUnmapped) {
+                        markUnmapped = next;
+                        if (enabled) {
+                            try {
+                                startIfNeeded.rerenderAllRoots?.();
+                            } catch {
+                                // ignore
+                            }
+                        }
+                    }
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, MAPPING_KEY)) {
+                    applyUpdatedMapping(changes[MAPPING_KEY]?.newValue, changes[MAPPING_KEY]?.oldValue);
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, DIRECTION_OVERRIDES_KEY)) {
+                    applyDirectionOverride(changes[DIRECTION_OVERRIDES_KEY]?.newValue);
+                }
+
+                if (Object.prototype.hasOwnProperty.call(changes, DOMAIN_ONLY_KEY)) {
+                    const newValue = changes[DOMAIN_ONLY_KEY]?.newValue;
+                    const next = newValue === undefined ? true : Boolean(newValue);
+                    if (next !== domainOnly) {
+                        domainOnly = next;
+                        if (enabled) {
+                            if (domainOnly && !isAllowedOkechikaSite()) stopAndRestore();
+                            else startIfNeeded();
+                        }
+                    }
+                }
+            });
+        } catch {
+            // ignore
+        }
+
+        // 右クリックメニュー「訳を修正…」（メニュー自体は background が出す）
+        let lastContextTarget = null;
+        document.addEventListener(
+            "contextmenu",
+            (e) => {
+                // open shadow root 内でも実際にクリックされた要素を拾う
+                lastContextTarget = e.composedPath?.()[0] ?? e.target;
+            },
+            true
+        );
+
+        async function saveCorrection(key, value) {
+            const res = await chrome.runtime.sendMessage({ type: "SAVE_LOCAL_OVERRIDE", key, value });
+            if (!res?.ok) throw new Error(res?.error ?? "unknown");
+            // 出現箇所の描き直しは、background が対応表（トライ木を含む）を組み立て直した時点で
+            // applyUpdatedMapping から行われる
+        }
+
+        // 訳にマウスを乗せたときの詳細カード。open shadow root 内も composedPath で実際の要素を拾う
+        let inspectorTimer = 0;
+        let inspectorSegment = null;
+        let inspectorCard = null;
+        let inspectorPending = null;
+
+        function hideInspector() {
+            clearTimeout(inspectorTimer);
+            inspectorPending = null;
+            inspectorSegment = null;
+            inspectorCard?.remove();
+            inspectorCard = null;
+        }
+
+        async function openInspector(segment) {
+            inspectorPending = segment;
+            // キーごとの由来は置換の区切り（tokenize）から引くので、順方向のときだけ
+            if (!segment.isConnected || direction !== "forward" || !replaceFn?.tokenize || !mappingInfo) return;
+            const original = segment.dataset.okechikaOriginal ?? "";
+            // 訳を入れたときの区切り（前後の文脈込み）があればそれを使う
+            const segmentTokens = SEGMENT_TOKENS.get(segment) ?? replaceFn.tokenize(original);
+            const tokens = segmentTokens.filter((token) => token.value !== undefined);
+            if (tokens.length === 0) return;
+            const info = mappingInfo;
+            const sourceLabels = await getSourceLabels();
+            // 待っている間に別の場所へ移った
+            if (inspectorPending !== segment || !segment.isConnected) return;
+
+            const translated = joinTokens(segmentTokens);
+            const rows = tokens.map((token) => ({
+                key: token.text,
+                value: token.value,
+                ...describeTokenSource(token, info, sourceLabels)
+            }));
+            inspectorCard = showInspectorCard(segment, { original, translated, rows }, {
+                onCopy: () => copyText(translated),
+                onEdit: () => {
+                    hideInspector();
+                    showTranslationEditor(segment, original, translated, saveCorrection);
+                },
+                isDoubtful: (key) => Object.prototype.hasOwnProperty.call(doubtfulKeys, key),
+                onToggleDoubtful: async (row, next) => {
+                    await setDoubtfulKey(row.key, next ? row.value : null);
+                    // カードのボタン表示は storage の変更通知を待たずに切り替える
+                    doubtfulKeys = await getDoubtfulKeys();
+                }
+            });
+            inspectorSegment = segment;
+        }
+
+        document.addEventListener(
+            "mouseover",
+            (e) => {
+                if (!inspectorEnabled || !observer) {
+                    if (inspectorCard) hideInspector();
+                    return;
+                }
+                const target = e.composedPath?.()[0] ?? e.target;
+                if (inspectorCard?.contains(target)) {
+                    clearTimeout(inspectorTimer);
+                    return;
+                }
+                const segment = findTranslatedSegment(target);
+                if (segment && segment === inspectorSegment) {
+                    clearTimeout(inspectorTimer);
+                    return;
+                }
+                clearTimeout(inspectorTimer);
+                inspectorPending = null;
+                if (segment) {
+                    inspectorTimer = setTimeout(() => openInspector(segment), INSPECTOR_SHOW_DELAY_MS);
+                } else if (inspectorCard) {
+                    inspectorTimer = setTimeout(hideInspector, INSPECTOR_HIDE_DELAY_MS);
+                }
+            },
+            true
+        );
+        // カードは fixed 配置なので、スクロールしたら消す（カード内のスクロールは除く）
+        window.addEventListener(
+            "scroll",
+            (e) => {
+                if (inspectorCard && !inspectorCard.contains(e.target)) hideInspector();
+            },
+            { capture: true, passive: true }
+        );
+        document.addEventListener("keydown", (e) => {
+            if (e.key === "Escape" && inspectorCard) hideInspector();
+        });
+
+        try {
+            chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+                if (msg?.type === "ENCODE_SELECTION") {
+                    encodeSelection(msg.selectionText);
+                    return;
+                }
+                if (msg?.type === "GET_PAGE_DIRECTION") {
+                    sendResponse(getPageDirectionState());
+                    return;
+                }
+                if (msg?.type === "GET_UNMAPPED_GLYPHS") {
+                    if (!observer || !replaceFn?.isUnmapped) {
+                        sendResponse({ ok: false, error: direction === "reverse" ? "reverse" : "inactive" });
+                        return;
+                    }
+                    const counts = countUnmappedGlyphs(pageRoots(), replaceFn);
+                    const glyphs = [...counts].sort((a, b) => b[1] - a[1]);
+                    sendResponse({ ok: true, glyphs, total: glyphs.reduce((sum, [, n]) => sum + n, 0) });
+                    return;
+                }
+                if (msg?.type === "JUMP_TO_UNMAPPED") {
+                    sendResponse(jumpToGlyph(pageRoots(), String(msg.glyph ?? ""), Number(msg.index) || 0));
+                    return;
+                }
+                if (msg?.type !== "OPEN_TRANSLATION_EDITOR") return;
+                const segment = findTranslatedSegment(lastContextTarget);
+                if (!segment || !replaceFn) {
+                    showToast("OkechikaTranslater: 翻訳された箇所の上で右クリックしてください");
+                    return;
+                }
+                // 逆方向で表示しているときの「訳」は暗号の側なので、ローカル上書きには保存できない
+                if (direction === "reverse") {
+                    showToast("OkechikaTranslater: 逆方向（B列→A列）で表示中は訳を修正できません");
+                    return;
+                }
+                const original = segment.dataset.okechikaOriginal ?? "";
+                showTranslationEditor(segment, original, replaceFn(original), saveCorrection);
+            });
+        } catch {
+            // ignore
+        }
+    } catch (e) {
+        console.error("[OkechikaTranslater] unexpected error", e);
+        try {
+            showMappingErrorBanner({ ok: false, error: String(e?.message ?? e) });
+        } catch {
+            // ignore
+        }
+    }
+})();
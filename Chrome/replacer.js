@@ -0,0 +1,307 @@
+// 対応表での置換（content script とポップアップの試し変換で共通）。
+// manifest の content_scripts では content.js より先に、popup.html では popup.js より先に読み込む。
+
+// ルールの置換先の $1 / $<name> / $& / $$ を展開する
+function expandRuleReplacement(template, m) {
+    return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (all, token, name) => {
+        if (token === "$") return "$";
+        if (token === "&") return m[0];
+        if (name !== undefined) return m.groups?.[name] ?? "";
+        const n = Number(token);
+        return n > 0 && n < m.length ? m[n] ?? "" : all;
+    });
+}
+
+// 1つのルールが1つのテキストにかけてよい時間（ms）。超えたルールはそのページ（試し変換）では以後使わない
+const RULE_TIME_LIMIT_MS = 50;
+
+// background で組み立て済みのルール（rule.source）を RegExp にする。
+// 書式の誤りや重すぎる正規表現は background の compileRuleSpec が断って診断の「読み飛ばした行」に出すので、
+// ここで作れないのはブラウザ側だけの事情。捨てたことはコンソールに残す
+function compileRules(rules) {
+    const out = [];
+    for (const rule of rules ?? []) {
+        try {
+            out.push({ re: new RegExp(rule.source, "gu"), replacement: String(rule.replacement ?? ""), rule });
+        } catch (e) {
+            console.warn("[OkechikaTranslater] rule skipped", rule?.key, rule?.rule, String(e?.message ?? e));
+        }
+    }
+    return out;
+}
+
+// background が作ったトライ木（buildSerializedTrie の形）を照合用に読み込む
+function loadTrie(serialized) {
+    if (!Array.isArray(serialized?.labels) || !Array.isArray(serialized.offsets)) return null;
+    const terminal = new Uint8Array(Math.max(serialized.offsets.length - 1, 0));
+    for (const n of serialized.terminal ?? []) terminal[n] = 1;
+    return {
+        labels: Uint16Array.from(serialized.labels),
+        offsets: Int32Array.from(serialized.offsets),
+        targets: Int32Array.from(serialized.targets ?? []),
+        terminal
+    };
+}
+
+// text の pos から始まる最も長いキーの長さ（無ければ 0）
+function longestMatchAt(trie, text, pos) {
+    let node = 0;
+    let best = 0;
+    for (let i = pos; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        // 各ノードの辺は文字コード順に並んでいるので二分探索する
+        let lo = trie.offsets[node];
+        let hi = trie.offsets[node + 1] - 1;
+        let next = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const c = trie.labels[mid];
+            if (c === code) {
+                next = trie.targets[mid];
+                break;
+            }
+            if (c < code) lo = mid + 1;
+            else hi = mid - 1;
+        }
+        if (next < 0) break;
+        node = next;
+        if (trie.terminal[node]) best = i - pos + 1;
+    }
+    return best;
+}
+
+// 左から順に、各位置で最も長いキーを拾う（長いキー優先の | 連結 RegExp と同じ結果）。[位置, 長さ] の配列
+function findTrieMatches(trie, text) {
+    const out = [];
+    let i = 0;
+    while (i < text.length) {
+        const len = longestMatchAt(trie, text, i);
+        if (len > 0) {
+            out.push([i, len]);
+            i += len;
+        } else {
+            i++;
+        }
+    }
+    return out;
+}
+
+function replaceWithTrie(trie, map, text) {
+    let out = "";
+    let last = 0;
+    let i = 0;
+    while (i < text.length) {
+        const len = longestMatchAt(trie, text, i);
+        if (len === 0) {
+            i++;
+            continue;
+        }
+        const key = text.slice(i, i + len);
+        out += text.slice(last, i) + (map.get(key) ?? key);
+        i += len;
+        last = i;
+    }
+    return last === 0 ? text : out + text.slice(last);
+}
+
+// buildTokenizer / buildReplacer が使う、読み込み済みの表・ルール・トライ木（何も無ければ null）
+function loadReplacerTables(mapping, matcher, rules) {
+    const tables = {
+        map: new Map(Object.entries(mapping ?? {})),
+        ruleList: compileRules(rules),
+        phrase: loadTrie(matcher?.phrase),
+        glyph: loadTrie(matcher?.glyph)
+    };
+    return tables.phrase || tables.glyph || tables.ruleList.length > 0 ? tables : null;
+}
+
+// 置換の結果を、元の文字列の切れ目ごとに返す版。[{ text, value?, rule? }] の配列で、
+// value が無い要素は対応が無くそのまま残る部分（連続する分はまとめる）。ルールで置き換えた要素には元のルールを付ける
+function buildTokenizer(mapping, matcher, rules) {
+    const tables = loadReplacerTables(mapping, matcher, rules);
+    return tables ? createTokenizer(tables) : null;
+}
+
+function createTokenizer({ map, ruleList, phrase, glyph }) {
+    // 語句・固有名詞・ルールで置き換えなかった部分を、文字単位の表で区切る
+    const pushGlyphs = (out, text) => {
+        let last = 0;
+        let i = 0;
+        while (glyph && i < text.length) {
+            const len = longestMatchAt(glyph, text, i);
+            if (len === 0) {
+                i++;
+                continue;
+            }
+            if (i > last) out.push({ text: text.slice(last, i) });
+            const key = text.slice(i, i + len);
+            out.push({ text: key, value: map.get(key) ?? key });
+            i += len;
+            last = i;
+        }
+        if (last < text.length) out.push({ text: text.slice(last) });
+    };
+
+    // 適用順: 語句・固有名詞 → ルール（上から順に、既に置き換えた範囲とは重ねない）→ 文字単位の表。
+    // ルールの前後条件は置換前の元の文字列で判定する
+    return (text) => {
+        const spans = [];
+        const overlaps = (start, end) => spans.some(([s, e]) => start < e && s < end);
+        if (phrase) {
+            for (const [index, length] of findTrieMatches(phrase, text)) {
+                const key = text.slice(index, index + length);
+                spans.push([index, index + length, map.get(key) ?? key]);
+            }
+        }
+        for (const entry of ruleList) {
+            if (entry.disabled) continue;
+            const { re, replacement, rule } = entry;
+            const startedAt = Date.now();
+            for (const m of text.matchAll(re)) {
+                const end = m.index + m[0].length;
+                if (m[0].length !== 0 && !overlaps(m.index, end)) {
+                    spans.push([m.index, end, expandRuleReplacement(replacement, m), rule]);
+                }
+                if (Date.now() - startedAt > RULE_TIME_LIMIT_MS) break;
+            }
+            if (Date.now() - startedAt > RULE_TIME_LIMIT_MS) {
+                // 重いルールで全部のテキストノードが止まらないよう、このルールは以後かけない
+                entry.disabled = true;
+                console.warn("[OkechikaTranslater] rule disabled (too slow)", rule?.key, rule?.rule);
+            }
+        }
+        spans.sort((a, b) => a[0] - b[0]);
+
+        const out = [];
+        let last = 0;
+        for (const [start, end, value, rule] of spans) {
+            pushGlyphs(out, text.slice(last, start));
+            out.push(rule ? { text: text.slice(start, end), value, rule } : { text: text.slice(start, end), value });
+            last = end;
+        }
+        pushGlyphs(out, text.slice(last));
+        return out;
+    };
+}
+
+// 全文を1度で区切った結果を、空白（連続含む）で分けた単位にまとめ直す。[{ text, tokens }] の配列で、空白の部分は tokens が null。
+// 前後条件・語頭のルールや語句が空白をまたいでも判定は全文のまま効き、置き換えた要素は空白を含んでも分けない
+function splitTokensAtSpaces(tokens) {
+    const parts = [];
+    let current = null;
+    const push = (token) => {
+        if (!current) parts.push((current = { text: "", tokens: [] }));
+        current.text += token.text;
+        current.tokens.push(token);
+    };
+    for (const token of tokens) {
+        if (token.value !== undefined) {
+            push(token);
+            continue;
+        }
+        for (const piece of token.text.split(/(\s+)/)) {
+            if (!piece) continue;
+            if (/^\s+$/.test(piece)) {
+                parts.push({ text: piece, tokens: null });
+                current = null;
+            } else {
+                push({ text: piece });
+            }
+        }
+    }
+    return parts;
+}
+
+function joinTokens(tokens) {
+    let out = "";
+    for (const token of tokens) out += token.value ?? token.text;
+    return out;
+}
+
+function buildReplacer(mapping, matcher, rules) {
+    const tables = loadReplacerTables(mapping, matcher, rules);
+    if (!tables) return null;
+    const tokenize = createTokenizer(tables);
+    // 語句・固有名詞もルールも無いときは、区切りを作らずに文字単位の表だけで置換する（大半のページはこちら）
+    const replace =
+        !tables.phrase && tables.ruleList.length === 0
+            ? (text) => replaceWithTrie(tables.glyph, tables.map, text)
+            : (text) => joinTokens(tokenize(text));
+    // 区切りごとの結果が要る表示（対応表に無い字の印付けなど）のために、同じ表で区切る関数も付けておく
+    replace.tokenize = tokenize;
+    return replace;
+}
+
+// 対応表に無い暗号文字かどうか。対応表のキーに使われている Unicode のブロック（256字ごと）を暗号の範囲とみなし、
+// 1文字のキーそのもの・訳の側に出てくる文字・空白・記号・ASCII は除く
+function buildUnmappedGlyphTest(mapping) {
+    const blocks = new Set();
+    const known = new Set();
+    for (const [key, value] of Object.entries(mapping ?? {})) {
+        const chars = [...key];
+        if (chars.length === 1) known.add(key);
+        for (const ch of chars) {
+            const code = ch.codePointAt(0);
+            if (code > 0x7f) blocks.add(code >> 8);
+        }
+        for (const ch of String(value ?? "")) known.add(ch);
+    }
+    return (ch) => {
+        const code = ch.codePointAt(0);
+        if (code <= 0x7f || !blocks.has(code >> 8) || known.has(ch)) return false;
+        return !/[\s\p{P}\p{S}]/u.test(ch);
+    };
+}
+
+// 区切った結果を parent に足す。対応の無い部分のうち暗号文字の並びには okechika-unmapped の印を付け、
+// 字ごとの数を counts（任意）に足す。useOriginal なら訳ではなく元の文字列を出す（ルビ入替時の本文）
+function appendMarkedTokens(parent, tokens, isUnmapped, { counts = null, useOriginal = false } = {}) {
+    const doc = parent.ownerDocument ?? document;
+    for (const token of tokens) {
+        if (token.value !== undefined) {
+            parent.appendChild(doc.createTextNode(useOriginal ? token.text : token.value));
+            continue;
+        }
+        let run = "";
+        let runUnmapped = false;
+        const flush = () => {
+            if (!run) return;
+            if (runUnmapped) {
+                const mark = doc.createElement("span");
+                mark.className = "okechika-unmapped";
+                mark.title = "対応表にありません";
+                mark.textContent = run;
+                parent.appendChild(mark);
+            } else {
+                parent.appendChild(doc.createTextNode(run));
+            }
+            run = "";
+        };
+        for (const ch of token.text) {
+            const unmapped = isUnmapped(ch);
+            if (unmapped && counts) counts.set(ch, (counts.get(ch) ?? 0) + 1);
+            if (unmapped !== runUnmapped) flush();
+            runUnmapped = unmapped;
+            run += ch;
+        }
+        flush();
+    }
+}
+
+// B列→A列の表（同じ訳に複数の字があるときは表で先に出てくる字）。英数字だけの訳は戻さない
+function buildReverseMap(mapping) {
+    const map = new Map();
+    for (const [key, value] of Object.entries(mapping ?? {})) {
+        if (!key || !value || /^[\x00-\x7f]*$/.test(value)) continue;
+        if (!map.has(value)) map.set(value, key);
+    }
+    return map;
+}
+
+// 訳の側から暗号に戻す置換（トライ木は background の buildMappingMatcher が matcher.reverse として作る）
+function buildReverseReplacer(mapping, matcher) {
+    const trie = loadTrie(matcher?.reverse);
+    if (!trie) return null;
+    const map = buildReverseMap(mapping);
+    return (text) => replaceWithTrie(trie, map, text);
+}
@@ -0,0 +1,77 @@
+// 訳の文字の見た目の設定（content script と設定ページで共通）。
+// manifest の content_scripts では content.js より先に、options.html では options.js より先に読み込む。
+
+// 訳の文字の見た目 { fontFamily, sizeScale, color, highlight, rubyPosition, rtSize }（設定ページが書く）
+const TYPOGRAPHY_KEY = "okechikaTypography";
+const RUBY_POSITIONS = ["over", "under", "inter-character"];
+// fontFamily が空なら DEFAULT_FONT_STACK だけ、sizeScale は訳の文字の倍率、rtSize はルビの大きさ（em）。
+// color / highlight は "#rrggbb"（空ならページのまま）
+const DEFAULT_TYPOGRAPHY = { fontFamily: "", sizeScale: 1, color: "", highlight: "", rubyPosition: "over", rtSize: 0.6 };
+
+// 暗号用フォントに引っ張られないよう、読みやすい日本語サンセリフを優先
+// ページが Noto Sans JP を読み込んでいない場合でも、他の一般的なフォントへフォールバックする
+const DEFAULT_FONT_STACK = [
+    '"Noto Sans JP"',
+    '"Noto Sans CJK JP"',
+    '"Hiragino Sans"',
+    '"Yu Gothic"',
+    'Meiryo',
+    'system-ui',
+    'sans-serif'
+].join(",");
+
+// 引用符で囲まずに書く総称フォント名
+const GENERIC_FONT_FAMILIES = new Set([
+    "serif",
+    "sans-serif",
+    "monospace",
+    "cursive",
+    "fantasy",
+    "system-ui",
+    "ui-serif",
+    "ui-sans-serif",
+    "ui-monospace",
+    "ui-rounded",
+    "math",
+    "emoji",
+    "fangsong"
+]);
+
+// フォント名として受け付ける形（文字・数字・空白・. _ - だけ）。引用符や記号を含む名前は捨てる
+const FONT_FAMILY_NAME_RE = /^[\p{L}\p{N}][\p{L}\p{N} ._-]*$/u;
+
+// カンマ区切りのフォント名を、1つずつ検査して "名前, 名前" の形にそろえる（囲みの引用符は外す）
+function normalizeFontFamily(text) {
+    return String(text ?? "")
+        .split(",")
+        .map((name) => name.trim().replace(/^(["'])(.*)\1$/, "$2").replace(/\s+/g, " ").trim())
+        .filter((name) => FONT_FAMILY_NAME_RE.test(name))
+        .join(", ");
+}
+
+// 文字の見た目の設定を、壊れた値や CSS に埋め込めない値を落とした形にそろえる
+function normalizeTypography(v) {
+    const t = v && typeof v === "object" ? v : {};
+    const clamp = (x, min, max, fallback) => {
+        const n = Number(x);
+        return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    const color = (x) => (typeof x === "string" && /^#[0-9a-f]{6}$/i.test(x) ? x : "");
+    return {
+        fontFamily: normalizeFontFamily(t.fontFamily),
+        sizeScale: clamp(t.sizeScale, 0.5, 3, DEFAULT_TYPOGRAPHY.sizeScale),
+        color: color(t.color),
+        highlight: color(t.highlight),
+        rubyPosition: RUBY_POSITIONS.includes(t.rubyPosition) ? t.rubyPosition : DEFAULT_TYPOGRAPHY.rubyPosition,
+        rtSize: clamp(t.rtSize, 0.3, 1.5, DEFAULT_TYPOGRAPHY.rtSize)
+    };
+}
+
+// 指定のフォント名を既定の並びの前に足す。総称名以外は引用符で囲む（名前は normalizeFontFamily で検査済み）
+function buildFontStack(fontFamily) {
+    const names = normalizeFontFamily(fontFamily)
+        .split(", ")
+        .filter(Boolean)
+        .map((name) => (GENERIC_FONT_FAMILIES.has(name.toLowerCase()) ? name : `"${name}"`));
+    return names.length > 0 ? `${names.join(",")},${DEFAULT_FONT_STACK}` : DEFAULT_FONT_STACK;
+}
@@ -0,0 +1,1607 @@
+const SOURCES_KEY = "mappingSources";
+const SOURCE_STATUS_KEY = "mappingSourceStatus";
+const REFRESH_TTL_KEY = "mappingRefreshTtlMinutes";
+const HISTORY_KEY = "mappingHistory";
+const PINNED_KEY = "mappingPinnedSnapshot";
+const LOCAL_OVERRIDE_KEY = "localOverrideMapping";
+const DIAGNOSTICS_KEY = "mappingDiagnostics";
+// ページ上の訳のカードで「要確認」にしたキー { "暗号": { value, url, markedAt } }（content.js が書く）
+const DOUBTFUL_KEYS_KEY = "okechikaDoubtfulKeys";
+// 本文以外に訳すもの（content.js の TRANSLATED_ATTRIBUTES_KEY / ATTRIBUTE_TARGETS と同じ）
+const TRANSLATED_ATTRIBUTES_KEY = "okechikaTranslatedAttributes";
+const ATTRIBUTE_TARGETS = ["title", "alt", "aria-label", "placeholder", "option", "document-title"];
+// 上書き一覧に一度に並べる最大件数（検索で絞り込めるので全件は出さない）
+const MAX_OVERRIDE_ROWS = 500;
+// インポート確認で衝突行を並べる最大件数
+const MAX_IMPORT_CONFLICT_ROWS = 500;
+// 差分表示で1種類あたりに並べる最大件数（巨大な差分で固まらないように）
+const MAX_DIFF_ROWS = 200;
+const DEFAULT_REFRESH_TTL_MINUTES = 60;
+const MIN_REFRESH_TTL_MINUTES = 5;
+
+// Firefox は `browser.*` が Promise ベース。
+const EXT = globalThis.browser ?? globalThis.chrome;
+
+/**
+ * 貼り付けられたスプレッドシートURLから doc ID / gid を取り出す。
+ * - 共有リンク: https://docs.google.com/spreadsheets/d/<ID>/edit#gid=<GID>
+ * - ウェブ公開: https://docs.google.com/spreadsheets/d/e/<PUB_ID>/pubhtml?gid=<GID>
+ * 解釈できない場合は { ok: false, error } を返す。
+ */
+function parseSpreadsheetUrl(text) {
+    const raw = String(text ?? "").trim();
+    if (!raw) return { ok: false, error: "URLを入力してください。" };
+
+    let u;
+    try {
+        u = new URL(raw);
+    } catch {
+        return { ok: false, error: "URLの形式が正しくありません。" };
+    }
+
+    if (u.protocol !== "https:" || u.hostname !== "docs.google.com") {
+        return { ok: false, error: "docs.google.com のスプレッドシートURLを指定してください。" };
+    }
+
+    const published = u.pathname.match(/^\/spreadsheets\/d\/e\/([A-Za-z0-9_-]+)/);
+    const doc = u.pathname.match(/^\/spreadsheets\/d\/([A-Za-z0-9_-]+)/);
+    if (!published && !doc) {
+        return { ok: false, error: "スプレッドシートのIDが見つかりません（/spreadsheets/d/… の形式か確認してください）。" };
+    }
+
+    // gid は ?gid= と #gid= のどちらにも入り得る（両方ある場合は # 側が表示中のシート）
+    const hashGid = new URLSearchParams(u.hash.replace(/^#/, "")).get("gid");
+    const queryGid = u.searchParams.get("gid");
+    const gidText = hashGid ?? queryGid ?? "0";
+    if (!/^\d+$/.test(gidText)) {
+        return { ok: false, error: `gid が数値ではありません: ${gidText}` };
+    }
+    const gid = Number.parseInt(gidText, 10);
+    if (!Number.isSafeInteger(gid)) {
+        return { ok: false, error: `gid が大きすぎます: ${gidText}` };
+    }
+
+    return {
+        ok: true,
+        kind: published ? "published" : "doc",
+        docId: published ? published[1] : doc[1],
+        gid,
+        gidSpecified: hashGid !== null || queryGid !== null
+    };
+}
+
+// 列指定の欄（background.js の SCHEMA_FIELDS と同じ並び）
+const SCHEMA_FIELD_LABELS = [
+    ["cipher", "暗号"],
+    ["plain", "訳"],
+    ["reading", "読み"],
+    ["note", "備考"],
+    ["category", "分類"],
+    ["priority", "優先度"],
+    ["rule", "ルール"]
+];
+
+// ソース（タブ）の役割（background.js の SOURCE_ROLES と同じ並び＝優先順）
+const SOURCE_ROLE_LABELS = [
+    ["glossary", "固有名詞"],
+    ["phrase", "語句・用語"],
+    ["glyph", "文字の置換"]
+];
+
+const LOCAL_SHEET_FILE_ACCEPT = ".xlsx,.ods,.csv,.tsv,.json";
+
+// 列の設定を開いているソース（状態表示の更新で閉じないように覚えておく）
+const openSchemaEditors = new Set();
+
+function newSourceId() {
+    return `src-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function describeSourceUrl(source) {
+    if (source.kind === "file") {
+        return `ローカルファイル: ${source.fileName}${source.sheetName && source.sheetName !== source.fileName ? ` / ${source.sheetName}` : ""}`;
+    }
+    if (source.kind === "published") {
+        return `https://docs.google.com/spreadsheets/d/e/${source.docId}/pub?gid=${source.gid}`;
+    }
+    return `https://docs.google.com/spreadsheets/d/${source.docId}/edit#gid=${source.gid}`;
+}
+
+function formatTime(ms) {
+    if (typeof ms !== "number") return "";
+    try {
+        return new Date(ms).toLocaleString();
+    } catch {
+        return "";
+    }
+}
+
+function describeStatus(st) {
+    if (!st) return { text: "未取得", className: "hint" };
+    const when = formatTime(st.checkedAt);
+    if (st.ok) {
+        return { text: `OK: ${st.count ?? 0} 件（${when}）`, className: "ok" };
+    }
+    const http = st.status ? ` (HTTP ${st.status})` : "";
+    const stale = typeof st.staleFrom === "number" ? ` / ${formatTime(st.staleFrom)} 取得分を使用中` : "";
+    return { text: `失敗: ${st.error ?? "unknown"}${http}（${when}）${stale}`, className: "error" };
+}
+
+async function getSourcesFromBackground() {
+    try {
+        const res = await EXT.runtime.sendMessage({ type: "GET_SOURCES" });
+        return Array.isArray(res?.sources) ? res.sources : [];
+    } catch {
+        return [];
+    }
+}
+
+async function getSourceStatus() {
+    try {
+        const obj = (await EXT.storage.local.get(SOURCE_STATUS_KEY)) ?? {};
+        return obj?.[SOURCE_STATUS_KEY] ?? {};
+    } catch {
+        return {};
+    }
+}
+
+async function getRefreshTtl() {
+    try {
+        const obj = (await EXT.storage.local.get(REFRESH_TTL_KEY)) ?? {};
+        const v = Number(obj?.[REFRESH_TTL_KEY]);
+        return Number.isFinite(v) && v > 0 ? v : DEFAULT_REFRESH_TTL_MINUTES;
+    } catch {
+        return DEFAULT_REFRESH_TTL_MINUTES;
+    }
+}
+
+async function getTypography() {
+    try {
+        const obj = (await EXT.storage.local.get(TYPOGRAPHY_KEY)) ?? {};
+        return normalizeTypography(obj?.[TYPOGRAPHY_KEY]);
+    } catch {
+        return { ...DEFAULT_TYPOGRAPHY };
+    }
+}
+
+// 大きさは画面では % で見せる（保存は倍率 / em）
+function fillTypographyForm(form, t) {
+    form.font.value = t.fontFamily;
+    form.size.value = String(Math.round(t.sizeScale * 100));
+    form.colorOn.checked = Boolean(t.color);
+    form.color.value = t.color || "#000000";
+    form.color.disabled = !t.color;
+    form.highlightOn.checked = Boolean(t.highlight);
+    form.highlight.value = t.highlight || "#fff59d";
+    form.highlight.disabled = !t.highlight;
+    form.rubyPosition.value = t.rubyPosition;
+    form.rtSize.value = String(Math.round(t.rtSize * 100));
+}
+
+function readTypographyForm(form) {
+    return normalizeTypography({
+        fontFamily: form.font.value,
+        sizeScale: Number(form.size.value) / 100,
+        color: form.colorOn.checked ? form.color.value : "",
+        highlight: form.highlightOn.checked ? form.highlight.value : "",
+        rubyPosition: form.rubyPosition.value,
+        rtSize: Number(form.rtSize.value) / 100
+    });
+}
+
+function normalizeTranslatedAttributes(v) {
+    return Array.isArray(v) ? ATTRIBUTE_TARGETS.filter((name) => v.includes(name)) : [...ATTRIBUTE_TARGETS];
+}
+
+async function getTranslatedAttributes() {
+    try {
+        const obj = (await EXT.storage.local.get(TRANSLATED_ATTRIBUTES_KEY)) ?? {};
+        return normalizeTranslatedAttributes(obj?.[TRANSLATED_ATTRIBUTES_KEY]);
+    } catch {
+        return [...ATTRIBUTE_TARGETS];
+    }
+}
+
+// チェックボックスは value に ATTRIBUTE_TARGETS の名前を持つ
+function fillTranslatedAttributes(inputs, names) {
+    for (const input of inputs) input.checked = names.includes(input.value);
+}
+
+async function saveSources(sources) {
+    await EXT.storage.local.set({ [SOURCES_KEY]: sources });
+}
+
+function describeSchema(schema) {
+    const columns = Object.entries(schema?.columns ?? {});
+    const header = schema?.header === "yes" ? "見出しあり" : schema?.header === "no" ? "見出しなし" : "";
+    if (columns.length === 0) return header ? `列: ${header}・列名で自動判定` : "列: 自動判定";
+    const labels = Object.fromEntries(SCHEMA_FIELD_LABELS);
+    const parts = columns.map(([field, col]) => `${labels[field] ?? field}=${col}`);
+    return `列: ${header ? `${header}・` : ""}${parts.join(", ")}`;
+}
+
+function createSchemaEditor(source, onSave) {
+    const wrap = document.createElement("div");
+    wrap.className = "diff";
+
+    const hint = document.createElement("div");
+    hint.className = "hint";
+    hint.textContent =
+        "列記号（A, B, …）か1行目の見出し名を入れます。空欄は見出し名（cipher / plain / reading / note / category / priority / rule、または 暗号 / 訳 / 読み / 備考 / 分類 / 優先度 / ルール）から自動で探します。" +
+        "見出しも列指定も無いシートは従来どおり中身から形式を推定します。" +
+        "ルール列に条件（regex / 語頭 / 語末 / before:… / after:…）を書いた行は、前後の文字によって読みが変わる対応として扱います。" +
+        "前後の文字は空白をまたいで判定します（リンクや太字などの要素の境目はまたぎません）。";
+    wrap.appendChild(hint);
+
+    const headerRow = document.createElement("div");
+    headerRow.className = "row";
+    headerRow.style.marginTop = "4px";
+    const headerLabel = document.createElement("span");
+    headerLabel.textContent = "1行目:";
+    const header = document.createElement("select");
+    for (const [value, text] of [
+        ["auto", "自動判定"],
+        ["yes", "見出し行"],
+        ["no", "データ（見出し無し）"]
+    ]) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        header.appendChild(option);
+    }
+    header.value = source.schema?.header ?? "auto";
+    headerRow.appendChild(headerLabel);
+    headerRow.appendChild(header);
+    wrap.appendChild(headerRow);
+
+    const fieldsRow = document.createElement("div");
+    fieldsRow.className = "row";
+    fieldsRow.style.marginTop = "4px";
+    fieldsRow.style.flexWrap = "wrap";
+    const inputs = {};
+    for (const [field, text] of SCHEMA_FIELD_LABELS) {
+        const label = document.createElement("label");
+        label.textContent = `${text} `;
+        const input = document.createElement("input");
+        input.type = "text";
+        input.placeholder = "自動";
+        input.style.width = "64px";
+        input.value = source.schema?.columns?.[field] ?? "";
+        label.appendChild(input);
+        inputs[field] = input;
+        fieldsRow.appendChild(label);
+    }
+    wrap.appendChild(fieldsRow);
+
+    const actions = document.createElement("div");
+    actions.className = "row";
+    actions.style.marginTop = "4px";
+    const save = document.createElement("button");
+    save.type = "button";
+    save.textContent = "列の設定を保存";
+    save.addEventListener("click", () => {
+        const columns = {};
+        for (const [field, input] of Object.entries(inputs)) {
+            const v = input.value.trim();
+            if (v) columns[field] = v;
+        }
+        onSave({ header: header.value, columns });
+    });
+    actions.appendChild(save);
+    wrap.appendChild(actions);
+
+    return wrap;
+}
+
+function bytesToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let bin = "";
+    // String.fromCharCode に一度に渡せる引数の数には上限があるので分けて変換する
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin);
+}
+
+/**
+ * ローカルファイルを background に渡してソースとして登録する。
+ * 複数のシートがあるブックでは { needSheet, sheets } が返るので、選んでから sheetIndex 付きで送り直す。
+ */
+async function sendSheetFile(file, extra) {
+    const data = bytesToBase64(await file.arrayBuffer());
+    const encoding = document.getElementById("sheetEncoding")?.value ?? "auto";
+    try {
+        return await EXT.runtime.sendMessage({ type: "IMPORT_SHEET_FILE", fileName: file.name, data, encoding, ...extra });
+    } catch (e) {
+        return { ok: false, error: String(e?.message ?? e) };
+    }
+}
+
+function createRoleSelect(value) {
+    const select = document.createElement("select");
+    for (const [role, text] of SOURCE_ROLE_LABELS) {
+        const option = document.createElement("option");
+        option.value = role;
+        option.textContent = text;
+        select.appendChild(option);
+    }
+    select.value = value ?? "glyph";
+    return select;
+}
+
+function renderSources(listEl, sources, statusById, onChange) {
+    while (listEl.firstChild) listEl.removeChild(listEl.firstChild);
+
+    if (sources.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "hint";
+        empty.textContent = "ソースがありません。下の欄から追加してください。";
+        listEl.appendChild(empty);
+        return;
+    }
+
+    sources.forEach((source, index) => {
+        const li = document.createElement("li");
+
+        const head = document.createElement("div");
+        head.className = "row";
+
+        const enabled = document.createElement("input");
+        enabled.type = "checkbox";
+        enabled.checked = source.enabled !== false;
+        enabled.title = "このソースを使う";
+        enabled.addEventListener("change", () => {
+            const next = sources.slice();
+            next[index] = { ...source, enabled: enabled.checked };
+            onChange(next);
+        });
+
+        const label = document.createElement("strong");
+        label.className = "grow";
+        label.textContent = `${index + 1}. ${source.label || source.id}`;
+
+        const move = (delta) => {
+            const to = index + delta;
+            if (to < 0 || to >= sources.length) return;
+            const next = sources.slice();
+            [next[index], next[to]] = [next[to], next[index]];
+            onChange(next);
+        };
+
+        const up = document.createElement("button");
+        up.type = "button";
+        up.textContent = "↑";
+        up.title = "優先度を上げる";
+        up.disabled = index === 0;
+        up.addEventListener("click", () => move(-1));
+
+        const down = document.createElement("button");
+        down.type = "button";
+        down.textContent = "↓";
+        down.title = "優先度を下げる";
+        down.disabled = index === sources.length - 1;
+        down.addEventListener("click", () => move(1));
+
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.textContent = "削除";
+        remove.addEventListener("click", () => {
+            if (!confirm(`「${source.label || source.id}」を削除しますか？`)) return;
+            openSchemaEditors.delete(source.id);
+            onChange(sources.filter((_, i) => i !== index));
+        });
+
+        const role = createRoleSelect(source.role);
+        role.title = "このタブの役割（固有名詞 > 語句・用語 > 文字の置換 の順に優先）";
+        role.addEventListener("change", () => {
+            const next = sources.slice();
+            next[index] = { ...source, role: role.value };
+            onChange(next);
+        });
+
+        const format = document.createElement("select");
+        format.title = "取得方法（gviz JSON はセルの型が崩れにくい）";
+        for (const [value, text] of [
+            ["csv", "CSV"],
+            ["gviz", "gviz JSON"]
+        ]) {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            format.appendChild(option);
+        }
+        format.value = source.format ?? "csv";
+        format.addEventListener("change", () => {
+            const next = sources.slice();
+            next[index] = { ...source, format: format.value };
+            onChange(next);
+        });
+
+        const reload = document.createElement("button");
+        reload.type = "button";
+        reload.textContent = "ファイルを読み直す";
+        reload.addEventListener("click", () => {
+            const picker = document.createElement("input");
+            picker.type = "file";
+            picker.accept = LOCAL_SHEET_FILE_ACCEPT;
+            picker.addEventListener("change", async () => {
+                const file = picker.files?.[0];
+                if (!file) return;
+                let res = await sendSheetFile(file, { sourceId: source.id });
+                if (res?.needSheet) {
+                    // 読み直しでは元のシート名と同じものを優先し、無ければ先頭を使う
+                    const i = res.sheets.indexOf(source.sheetName);
+                    res = await sendSheetFile(file, { sourceId: source.id, sheetIndex: i >= 0 ? i : 0 });
+                }
+                if (!res?.ok) alert(`ファイルを読めませんでした: ${res?.error ?? "unknown"}`);
+            });
+            picker.click();
+        });
+
+        const addTab = document.createElement("button");
+        addTab.type = "button";
+        addTab.textContent = "別のタブを追加";
+        addTab.title = "同じスプレッドシートの別のタブ（gid）をソースとして追加します";
+        addTab.addEventListener("click", () => {
+            const text = prompt("追加するタブの gid（タブを開いたときの URL の #gid= の数字）を入力してください。");
+            if (text === null) return;
+            const gidText = text.trim();
+            if (!/^\d+$/.test(gidText) || !Number.isSafeInteger(Number(gidText))) {
+                alert(`gid が数値ではありません: ${gidText}`);
+                return;
+            }
+            const gid = Number.parseInt(gidText, 10);
+            const dup = sources.find((s) => s.kind === source.kind && s.docId === source.docId && Number(s.gid) === gid);
+            if (dup) {
+                alert(`同じシートが既に登録されています: ${dup.label || dup.id}`);
+                return;
+            }
+            onChange([
+                ...sources,
+                {
+                    id: newSourceId(),
+                    label: `${source.label || source.id} / gid=${gid}`,
+                    kind: source.kind,
+                    docId: source.docId,
+                    gid,
+                    enabled: true,
+                    // 語句は文字単位の置換より先に効くので、既定は単独のソースと同じ文字の置換にして、役割は一覧で選び直してもらう
+                    role: "glyph"
+                }
+            ]);
+        });
+
+        const columns = document.createElement("button");
+        columns.type = "button";
+        columns.textContent = "列の設定";
+        columns.addEventListener("click", () => {
+            if (openSchemaEditors.has(source.id)) openSchemaEditors.delete(source.id);
+            else openSchemaEditors.add(source.id);
+            // 開閉だけなので保存はしない
+            renderSources(listEl, sources, statusById, onChange);
+        });
+
+        head.appendChild(enabled);
+        head.appendChild(label);
+        head.appendChild(role);
+        if (source.kind === "file") {
+            head.appendChild(reload);
+        } else {
+            // ウェブ公開リンクは CSV でしか取れない
+            if (source.kind === "doc") head.appendChild(format);
+            head.appendChild(addTab);
+        }
+        head.appendChild(columns);
+        head.appendChild(up);
+        head.appendChild(down);
+        head.appendChild(remove);
+
+        const url = document.createElement("div");
+        url.className = "url";
+        url.textContent = describeSourceUrl(source);
+
+        const st = describeStatus(statusById?.[source.id]);
+        const status = document.createElement("div");
+        status.className = st.className;
+        status.textContent = st.text;
+
+        const schema = document.createElement("div");
+        schema.className = "hint";
+        schema.textContent = describeSchema(source.schema);
+
+        li.appendChild(head);
+        li.appendChild(url);
+        li.appendChild(schema);
+        li.appendChild(status);
+        if (openSchemaEditors.has(source.id)) {
+            li.appendChild(
+                createSchemaEditor(source, (nextSchema) => {
+                    openSchemaEditors.delete(source.id);
+                    const next = sources.slice();
+                    next[index] = { ...source, schema: nextSchema };
+                    onChange(next);
+                })
+            );
+        }
+        listEl.appendChild(li);
+    });
+}
+
+async function getLocalOverrides() {
+    try {
+        const obj = (await EXT.storage.local.get(LOCAL_OVERRIDE_KEY)) ?? {};
+        const v = obj?.[LOCAL_OVERRIDE_KEY];
+        return v && typeof v === "object" ? v : {};
+    } catch {
+        return {};
+    }
+}
+
+async function saveLocalOverrides(overrides) {
+    await EXT.storage.local.set({ [LOCAL_OVERRIDE_KEY]: overrides });
+}
+
+function renderOverrides(tbody, countEl, overrides, query, onChange) {
+    while (tbody.firstChild) tbody.removeChild(tbody.firstChild);
+
+    const q = String(query ?? "").trim();
+    const entries = Object.entries(overrides)
+        .filter(([k, v]) => !q || k.includes(q) || String(v).includes(q))
+        .sort((a, b) => a[0].localeCompare(b[0]));
+
+    const total = Object.keys(overrides).length;
+    countEl.textContent = q ? `${entries.length} / ${total} 件` : `${total} 件`;
+
+    for (const [key, value] of entries.slice(0, MAX_OVERRIDE_ROWS)) {
+        const tr = document.createElement("tr");
+
+        const keyCell = document.createElement("td");
+        keyCell.className = "key";
+        keyCell.textContent = key;
+
+        const valueCell = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "text";
+        input.value = value;
+        input.addEventListener("change", () => {
+            const next = input.value;
+            // 空にした場合は削除と同じ扱い（空文字の上書きは background 側でも無視される）
+            if (next.trim().length === 0) {
+                const { [key]: _removed, ...rest } = overrides;
+                onChange(rest);
+                return;
+            }
+            onChange({ ...overrides, [key]: next });
+        });
+        valueCell.appendChild(input);
+
+        const actionCell = document.createElement("td");
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.textContent = "削除";
+        remove.addEventListener("click", () => {
+            const { [key]: _removed, ...rest } = overrides;
+            onChange(rest);
+        });
+        actionCell.appendChild(remove);
+
+        tr.appendChild(keyCell);
+        tr.appendChild(valueCell);
+        tr.appendChild(actionCell);
+        tbody.appendChild(tr);
+    }
+
+    if (entries.length > MAX_OVERRIDE_ROWS) {
+        const tr = document.createElement("tr");
+        const td = document.createElement("td");
+        td.colSpan = 3;
+        td.className = "hint";
+        td.textContent = `…ほか ${entries.length - MAX_OVERRIDE_ROWS} 件（検索で絞り込んでください）`;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
+
+async function getDoubtfulKeys() {
+    try {
+        const obj = (await EXT.storage.local.get(DOUBTFUL_KEYS_KEY)) ?? {};
+        const v = obj?.[DOUBTFUL_KEYS_KEY];
+        return v && typeof v === "object" ? v : {};
+    } catch {
+        return {};
+    }
+}
+
+async function saveDoubtfulKeys(doubtful) {
+    await EXT.storage.local.set({ [DOUBTFUL_KEYS_KEY]: doubtful });
+}
+
+function renderDoubtfulKeys(tbody, countEl, doubtful, onChange) {
+    while (tbody.firstChild) tbody.removeChild(tbody.firstChild);
+
+    // 新しく印を付けたものから並べる
+    const entries = Object.entries(doubtful).sort((a, b) => (b[1]?.markedAt ?? 0) - (a[1]?.markedAt ?? 0));
+    countEl.textContent = `${entries.length} 件`;
+
+    for (const [key, entry] of entries) {
+        const tr = document.createElement("tr");
+
+        const keyCell = document.createElement("td");
+        keyCell.className = "key";
+        keyCell.textContent = key;
+
+        const valueCell = document.createElement("td");
+        const value = document.createElement("div");
+        value.textContent = entry?.value ?? "";
+        valueCell.appendChild(value);
+        if (entry?.url) {
+            const page = document.createElement("a");
+            page.className = "url";
+            page.href = entry.url;
+            page.target = "_blank";
+            page.rel = "noreferrer";
+            page.textContent = entry.url;
+            valueCell.appendChild(page);
+        }
+        if (entry?.markedAt) valueCell.title = `印を付けた日時: ${new Date(entry.markedAt).toLocaleString()}`;
+
+        const actionCell = document.createElement("td");
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.textContent = "外す";
+        remove.addEventListener("click", () => {
+            const { [key]: _removed, ...rest } = doubtful;
+            onChange(rest);
+        });
+        actionCell.appendChild(remove);
+
+        tr.appendChild(keyCell);
+        tr.appendChild(valueCell);
+        tr.appendChild(actionCell);
+        tbody.appendChild(tr);
+    }
+}
+
+function csvCell(text, delimiter) {
+    const s = String(text ?? "");
+    if (delimiter === "\t") {
+        // TSV は引用符を使わない。セル内のタブ・改行は空白にする
+        return s.replace(/[\t\r\n]+/g, " ");
+    }
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function serializeOverrides(overrides, format) {
+    const entries = Object.entries(overrides).sort((a, b) => a[0].localeCompare(b[0]));
+    if (format === "json") {
+        return `${JSON.stringify(Object.fromEntries(entries), null, 2)}\n`;
+    }
+    const delimiter = format === "tsv" ? "\t" : ",";
+    return entries.map(([k, v]) => `${csvCell(k, delimiter)}${delimiter}${csvCell(v, delimiter)}\r\n`).join("");
+}
+
+function downloadText(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 取り込む内容を現在の上書きと突き合わせる。
+ * - added: 新しいキー
+ * - same: 同じキー・同じ訳（何もしない）
+ * - conflicts: 同じキーで訳が違う
+ */
+function classifyImport(current, incoming) {
+    const added = [];
+    const same = [];
+    const conflicts = [];
+    for (const [key, value] of Object.entries(incoming)) {
+        if (!Object.prototype.hasOwnProperty.call(current, key)) added.push({ key, to: value });
+        else if (current[key] === value) same.push({ key, to: value });
+        else conflicts.push({ key, from: current[key], to: value });
+    }
+    return { added, same, conflicts };
+}
+
+function renderImportPreview(container, parsed, current, onApply) {
+    while (container.firstChild) container.removeChild(container.firstChild);
+
+    const { added, same, conflicts } = classifyImport(current, parsed.mapping);
+    const incomingCount = Object.keys(parsed.mapping).length;
+    const removedOnReplace = Object.keys(current).filter((k) => !Object.prototype.hasOwnProperty.call(parsed.mapping, k));
+
+    const summary = document.createElement("div");
+    summary.textContent =
+        `${parsed.format.toUpperCase()}: ${incomingCount} 件` +
+        `（新規 ${added.length} / 同一 ${same.length} / 衝突 ${conflicts.length}` +
+        `${parsed.skipped?.length ? ` / 読み飛ばし ${parsed.skipped.length} 行` : ""}）`;
+    container.appendChild(summary);
+
+    if (parsed.skipped?.length) {
+        const skipped = document.createElement("div");
+        skipped.className = "hint";
+        const head = parsed.skipped.slice(0, 20).join(", ");
+        skipped.textContent = `読み飛ばした行: ${head}${parsed.skipped.length > 20 ? " …" : ""}（暗号か訳が空）`;
+        container.appendChild(skipped);
+    }
+
+    // 衝突ごとに「取り込む訳を使うか」を選ばせる（既定は取り込む側）
+    const takeIncoming = new Map();
+    if (conflicts.length > 0) {
+        const table = document.createElement("table");
+        table.className = "import-preview";
+        const head = document.createElement("tr");
+        for (const text of ["採用", "キー", "現在の訳", "取り込む訳"]) {
+            const th = document.createElement("th");
+            th.textContent = text;
+            head.appendChild(th);
+        }
+        table.appendChild(head);
+
+        for (const row of conflicts.slice(0, MAX_IMPORT_CONFLICT_ROWS)) {
+            takeIncoming.set(row.key, true);
+            const tr = document.createElement("tr");
+            tr.className = "changed";
+
+            const pickCell = document.createElement("td");
+            const pick = document.createElement("input");
+            pick.type = "checkbox";
+            pick.checked = true;
+            pick.title = "チェックを外すと現在の訳を残します";
+            pick.addEventListener("change", () => takeIncoming.set(row.key, pick.checked));
+            pickCell.appendChild(pick);
+            tr.appendChild(pickCell);
+
+            for (const text of [row.key, row.from, row.to]) {
+                const td = document.createElement("td");
+                td.textContent = text ?? "";
+                tr.appendChild(td);
+            }
+            table.appendChild(tr);
+        }
+        if (conflicts.length > MAX_IMPORT_CONFLICT_ROWS) {
+            const tr = document.createElement("tr");
+            const td = document.createElement("td");
+            td.colSpan = 4;
+            td.className = "hint";
+            td.textContent = `…ほか ${conflicts.length - MAX_IMPORT_CONFLICT_ROWS} 件（取り込む訳を採用します）`;
+            tr.appendChild(td);
+            table.appendChild(tr);
+        }
+        container.appendChild(table);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "row";
+    actions.style.marginTop = "6px";
+
+    const merge = document.createElement("button");
+    merge.type = "button";
+    merge.textContent = "マージ";
+    merge.title = "現在の上書きを残したまま追加・更新します";
+    merge.disabled = added.length === 0 && conflicts.length === 0;
+    merge.addEventListener("click", () => {
+        const next = { ...current };
+        for (const row of added) next[row.key] = row.to;
+        let taken = 0;
+        for (const row of conflicts) {
+            if (takeIncoming.get(row.key) === false) continue;
+            next[row.key] = row.to;
+            taken++;
+        }
+        onApply(next, `マージしました（新規 ${added.length} 件 / 更新 ${taken} 件）`);
+    });
+
+    const replace = document.createElement("button");
+    replace.type = "button";
+    replace.textContent = "置き換え";
+    replace.title = "現在の上書きをすべて捨てて、取り込む内容だけにします";
+    replace.disabled = incomingCount === 0;
+    replace.addEventListener("click", () => {
+        if (removedOnReplace.length > 0 && !confirm(`現在の上書きのうち ${removedOnReplace.length} 件が削除されます。置き換えますか？`)) return;
+        onApply({ ...parsed.mapping }, `置き換えました（${incomingCount} 件）`);
+    });
+
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.textContent = "取り消し";
+    cancel.addEventListener("click", () => onApply(null, ""));
+
+    actions.appendChild(merge);
+    actions.appendChild(replace);
+    actions.appendChild(cancel);
+
+    if (removedOnReplace.length > 0) {
+        const note = document.createElement("span");
+        note.className = "hint";
+        note.textContent = `置き換えると現在の ${removedOnReplace.length} 件が消えます`;
+        actions.appendChild(note);
+    }
+    container.appendChild(actions);
+}
+
+const PARSE_MODE_LABELS = {
+    schema: "見出し・列指定",
+    rows: "行形式（A列=暗号, B列=訳）",
+    packed: "1行目まとめ形式（A列とB列の並び順で対応）",
+    "packed-modulo": "1行目まとめ形式・B列が無いため同音換字（i % N）で推定",
+    "packed-unused": "1行目まとめ形式だが B列も番号表も無く、1行目は使われていません",
+    unknown: "未取得"
+};
+
+const CSV_ERROR_LABELS = {
+    "unexpected-quote": "クォートで囲まれていないセルの途中に \" がある",
+    "text-after-quote": "閉じクォートの後に文字が続いている",
+    "unterminated-quote": "クォートが閉じられていない（ファイルの最後まで1つのセルとして読みました）"
+};
+
+const DELIMITER_LABELS = { ",": "カンマ", "\t": "タブ", ";": "セミコロン" };
+
+const SKIP_REASON_LABELS = {
+    "no-value-column": "B列が無い",
+    "empty-key": "A列（暗号）が空",
+    "empty-value": "B列（訳）が空",
+    "invalid-rule": "ルールの書式が正しくない",
+    "unsafe-rule": "ルールの正規表現が長すぎる・重すぎる"
+};
+
+async function getDiagnostics() {
+    try {
+        const obj = (await EXT.storage.local.get(DIAGNOSTICS_KEY)) ?? {};
+        return obj?.[DIAGNOSTICS_KEY] ?? null;
+    } catch {
+        return null;
+    }
+}
+
+// 0 → "A", 27 → "AB"
+function columnName(index) {
+    let n = Number(index) + 1;
+    let out = "";
+    while (n > 0) {
+        const r = (n - 1) % 26;
+        out = String.fromCharCode(65 + r) + out;
+        n = Math.floor((n - 1) / 26);
+    }
+    return out;
+}
+
+function createDiagnosticTable(headers, rows) {
+    const table = document.createElement("table");
+    const head = document.createElement("tr");
+    for (const text of headers) {
+        const th = document.createElement("th");
+        th.textContent = text;
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+    for (const cells of rows) {
+        const tr = document.createElement("tr");
+        for (const text of cells) {
+            const td = document.createElement("td");
+            td.textContent = text ?? "";
+            tr.appendChild(td);
+        }
+        table.appendChild(tr);
+    }
+    return table;
+}
+
+function appendMoreNote(parent, total, shown) {
+    if (total <= shown) return;
+    const more = document.createElement("div");
+    more.className = "hint";
+    more.textContent = `…ほか ${total - shown} 件`;
+    parent.appendChild(more);
+}
+
+function renderDiagnostics(container, report) {
+    while (container.firstChild) container.removeChild(container.firstChild);
+
+    if (!report) {
+        const empty = document.createElement("div");
+        empty.className = "hint";
+        empty.textContent = "まだ診断結果がありません（対応表を更新すると作られます）。";
+        container.appendChild(empty);
+        return;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "list";
+
+    for (const src of report.sources ?? []) {
+        const li = document.createElement("li");
+
+        const head = document.createElement("div");
+        head.className = "row";
+        const title = document.createElement("strong");
+        title.className = "grow";
+        const roleLabel = Object.fromEntries(SOURCE_ROLE_LABELS)[src.role];
+        title.textContent = `${src.label || src.id}${roleLabel ? `（${roleLabel}）` : ""}`;
+        const summary = document.createElement("span");
+        summary.className = src.warningCount > 0 ? "changed" : "ok";
+        summary.textContent = src.warningCount > 0 ? `警告 ${src.warningCount} 件` : "問題なし";
+        head.appendChild(title);
+        head.appendChild(summary);
+        li.appendChild(head);
+
+        const mode = document.createElement("div");
+        mode.className = src.mode === "packed-modulo" || src.mode === "packed-unused" ? "changed" : "hint";
+        const rowsText = typeof src.rowCount === "number" ? `／${src.rowCount} 行・${src.count ?? 0} 件` : "";
+        const blankText = src.blankRows ? `（空行 ${src.blankRows}）` : "";
+        const ruleText = src.ruleCount ? `・ルール ${src.ruleCount} 件` : "";
+        mode.textContent = `読み取り方式: ${PARSE_MODE_LABELS[src.mode] ?? src.mode}${rowsText}${ruleText}${blankText}`;
+        li.appendChild(mode);
+
+        if (src.mode === "schema" && src.schemaColumns) {
+            const labels = Object.fromEntries(SCHEMA_FIELD_LABELS);
+            const cols = document.createElement("div");
+            cols.className = "hint";
+            cols.textContent = `使用した列: ${Object.entries(src.schemaColumns)
+                .map(([field, index]) => `${labels[field] ?? field}=${columnName(index)}`)
+                .join(", ")}${src.hasHeader ? "（1行目は見出し）" : ""}`;
+            li.appendChild(cols);
+        }
+
+        if (src.schemaError || src.unresolvedColumns?.length) {
+            const labels = Object.fromEntries(SCHEMA_FIELD_LABELS);
+            const schemaError = document.createElement("div");
+            schemaError.className = "changed";
+            const missing = (src.unresolvedColumns ?? []).map((f) => labels[f] ?? f).join(", ");
+            schemaError.textContent = src.schemaError
+                ? `列の設定どおりに読めなかったため、従来の方式で読みました（${src.schemaError}）。`
+                : `列の設定で指定した見出しが見つかりません: ${missing}`;
+            li.appendChild(schemaError);
+        }
+
+        if (src.csv) {
+            const csvInfo = document.createElement("div");
+            csvInfo.className = "hint";
+            csvInfo.textContent = `CSV の区切り文字: ${DELIMITER_LABELS[src.csv.delimiter] ?? src.csv.delimiter}`;
+            li.appendChild(csvInfo);
+        }
+
+        if (src.packedLengthMismatch) {
+            const mismatch = document.createElement("div");
+            mismatch.className = "changed";
+            mismatch.textContent =
+                `1行目の A列 (${src.packedLengthMismatch.cipher} 個) と B列 (${src.packedLengthMismatch.plain} 個) の数が合いません。` +
+                "短い方に合わせて対応付けたため、途中からずれている可能性があります。";
+            li.appendChild(mismatch);
+        }
+
+        const detail = document.createElement("div");
+        detail.className = "diff";
+
+        if (src.duplicateCount > 0) {
+            const label = document.createElement("div");
+            label.className = "changed";
+            // priority 列のある表では、行の順ではなく優先度で使う行が決まる
+            const byPriority = (src.duplicates ?? []).some((d) => d.entries.some((e) => e.priority !== undefined));
+            label.textContent =
+                `同じ暗号に別の訳: ${src.duplicateCount} 件` +
+                (byPriority ? "（優先度の高い行、同じ優先度なら後の行が使われます）" : "（後の行が使われます）");
+            detail.appendChild(label);
+            detail.appendChild(
+                createDiagnosticTable(
+                    ["暗号", "行: 訳", "使用中"],
+                    (src.duplicates ?? []).map((d) => [
+                        d.key,
+                        d.entries.map((e) => `${e.row}: ${e.value}${e.priority !== undefined ? `（優先度 ${e.priority}）` : ""}`).join(" / "),
+                        d.usedRow !== undefined ? `${d.usedRow}: ${d.used}` : d.used
+                    ])
+                )
+            );
+            appendMoreNote(detail, src.duplicateCount, src.duplicates?.length ?? 0);
+        }
+
+        if (src.csv?.errorCount > 0) {
+            const label = document.createElement("div");
+            label.className = "changed";
+            label.textContent = `CSV の書式の崩れ: ${src.csv.errorCount} 件`;
+            detail.appendChild(label);
+            detail.appendChild(
+                createDiagnosticTable(
+                    ["行", "列", "内容"],
+                    (src.csv.errors ?? []).map((e) => [String(e.row), columnName(e.col - 1), CSV_ERROR_LABELS[e.code] ?? e.code])
+                )
+            );
+            appendMoreNote(detail, src.csv.errorCount, src.csv.errors?.length ?? 0);
+        }
+
+        if (src.skippedRowCount > 0) {
+            const label = document.createElement("div");
+            label.className = "changed";
+            label.textContent = `読み飛ばした行: ${src.skippedRowCount} 行`;
+            detail.appendChild(label);
+            detail.appendChild(
+                createDiagnosticTable(
+                    ["行", "理由"],
+                    (src.skippedRows ?? []).map((r) => [
+                        String(r.row),
+                        `${SKIP_REASON_LABELS[r.reason] ?? r.reason}${r.detail ? `（${r.detail}）` : ""}`
+                    ])
+                )
+            );
+            appendMoreNote(detail, src.skippedRowCount, src.skippedRows?.length ?? 0);
+        }
+
+        if (detail.firstChild) li.appendChild(detail);
+        list.appendChild(li);
+    }
+
+    const prefix = document.createElement("li");
+    const prefixHead = document.createElement("div");
+    prefixHead.className = "row";
+    const prefixTitle = document.createElement("strong");
+    prefixTitle.className = "grow";
+    prefixTitle.textContent = "合成後の対応表（ローカル上書きを含む）";
+    const prefixSummary = document.createElement("span");
+    prefixSummary.className = "hint";
+    prefixSummary.textContent = `前方一致するキー ${report.prefixKeyCount ?? 0} 件`;
+    prefixHead.appendChild(prefixTitle);
+    prefixHead.appendChild(prefixSummary);
+    prefix.appendChild(prefixHead);
+
+    if ((report.prefixKeyCount ?? 0) > 0) {
+        const note = document.createElement("div");
+        note.className = "hint";
+        note.textContent = "長いキーが優先されるため、左の短いキーは長いキーの一部としては使われません。";
+        prefix.appendChild(note);
+
+        const detail = document.createElement("div");
+        detail.className = "diff";
+        detail.appendChild(
+            createDiagnosticTable(
+                ["キー", "これで始まる長いキー"],
+                (report.prefixKeys ?? []).map((p) => [
+                    p.key,
+                    `${p.longer.join(" / ")}${p.longerCount > p.longer.length ? ` …ほか ${p.longerCount - p.longer.length} 件` : ""}`
+                ])
+            )
+        );
+        appendMoreNote(detail, report.prefixKeyCount, report.prefixKeys?.length ?? 0);
+        prefix.appendChild(detail);
+    }
+    list.appendChild(prefix);
+
+    container.appendChild(list);
+}
+
+async function getMappingHistory() {
+    try {
+        const obj = (await EXT.storage.local.get(HISTORY_KEY)) ?? {};
+        const list = obj?.[HISTORY_KEY];
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
+
+async function getPinnedSnapshotId() {
+    try {
+        const obj = (await EXT.storage.local.get(PINNED_KEY)) ?? {};
+        return obj?.[PINNED_KEY]?.id ?? null;
+    } catch {
+        return null;
+    }
+}
+
+async function sendPinMessage(message) {
+    try {
+        const res = await EXT.runtime.sendMessage(message);
+        if (!res?.ok) alert(`操作に失敗しました: ${res?.error ?? "unknown"}`);
+    } catch (e) {
+        alert(`操作に失敗しました: ${String(e?.message ?? e)}`);
+    }
+}
+
+function summarizeDiff(diff) {
+    if (!diff) return "初回取得";
+    return `追加 ${diff.added?.length ?? 0} / 削除 ${diff.removed?.length ?? 0} / 変更 ${diff.changed?.length ?? 0}`;
+}
+
+function hasDiffRows(diff) {
+    if (!diff) return false;
+    return (diff.added?.length ?? 0) + (diff.removed?.length ?? 0) + (diff.changed?.length ?? 0) > 0;
+}
+
+function createDiffTable(diff) {
+    const wrap = document.createElement("div");
+    wrap.className = "diff";
+
+    const sections = [
+        { rows: diff.added ?? [], className: "added", mark: "+", cells: (r) => [r.key, "", r.to] },
+        { rows: diff.removed ?? [], className: "removed", mark: "−", cells: (r) => [r.key, r.from, ""] },
+        { rows: diff.changed ?? [], className: "changed", mark: "~", cells: (r) => [r.key, r.from, r.to] }
+    ];
+
+    const table = document.createElement("table");
+    const head = document.createElement("tr");
+    for (const text of ["", "キー", "変更前", "変更後"]) {
+        const th = document.createElement("th");
+        th.textContent = text;
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    for (const section of sections) {
+        for (const row of section.rows.slice(0, MAX_DIFF_ROWS)) {
+            const tr = document.createElement("tr");
+            tr.className = section.className;
+            for (const text of [section.mark, ...section.cells(row)]) {
+                const td = document.createElement("td");
+                td.textContent = text ?? "";
+                tr.appendChild(td);
+            }
+            table.appendChild(tr);
+        }
+        if (section.rows.length > MAX_DIFF_ROWS) {
+            const tr = document.createElement("tr");
+            const td = document.createElement("td");
+            td.colSpan = 4;
+            td.className = "hint";
+            td.textContent = `…ほか ${section.rows.length - MAX_DIFF_ROWS} 件`;
+            tr.appendChild(td);
+            table.appendChild(tr);
+        }
+    }
+
+    wrap.appendChild(table);
+    return wrap;
+}
+
+function renderHistory(listEl, history, pinnedId) {
+    while (listEl.firstChild) listEl.removeChild(listEl.firstChild);
+
+    if (pinnedId) {
+        const notice = document.createElement("li");
+        notice.className = "changed";
+        const pinned = history.find((h) => h.id === pinnedId);
+        notice.textContent = pinned
+            ? `${formatTime(pinned.createdAt)} の版に固定中です。固定を解除するまで自動更新では対応表を差し替えません。`
+            : "過去の版に固定中です（その版は履歴から外れています）。固定を解除するまで自動更新では対応表を差し替えません。";
+        const unpin = document.createElement("button");
+        unpin.type = "button";
+        unpin.textContent = "固定を解除";
+        unpin.style.marginLeft = "8px";
+        unpin.addEventListener("click", () => sendPinMessage({ type: "UNPIN_SNAPSHOT" }));
+        notice.appendChild(unpin);
+        listEl.appendChild(notice);
+    }
+
+    if (history.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "hint";
+        empty.textContent = "まだ履歴がありません。";
+        listEl.appendChild(empty);
+        return;
+    }
+
+    for (const snapshot of history) {
+        const li = document.createElement("li");
+
+        const head = document.createElement("div");
+        head.className = "row";
+
+        const title = document.createElement("span");
+        title.className = "grow";
+        title.textContent = `${formatTime(snapshot.createdAt)}　${snapshot.count ?? 0} 件（${summarizeDiff(snapshot.diff)}）`;
+        if (snapshot.id === pinnedId) title.textContent += "　［固定中］";
+        head.appendChild(title);
+
+        if (snapshot.id !== pinnedId) {
+            const pin = document.createElement("button");
+            pin.type = "button";
+            pin.textContent = "この版に固定";
+            pin.addEventListener("click", () => {
+                if (!confirm("この版の対応表に固定しますか？（固定中はスプレッドシートの変更が反映されません）")) return;
+                sendPinMessage({ type: "PIN_SNAPSHOT", snapshotId: snapshot.id });
+            });
+            head.appendChild(pin);
+        }
+
+        li.appendChild(head);
+
+        if (hasDiffRows(snapshot.diff)) {
+            const toggle = document.createElement("button");
+            toggle.type = "button";
+            toggle.textContent = "差分を表示";
+            let detail = null;
+            toggle.addEventListener("click", () => {
+                if (detail) {
+                    detail.remove();
+                    detail = null;
+                    toggle.textContent = "差分を表示";
+                    return;
+                }
+                detail = createDiffTable(snapshot.diff);
+                li.appendChild(detail);
+                toggle.textContent = "差分を隠す";
+            });
+            head.appendChild(toggle);
+        }
+
+        listEl.appendChild(li);
+    }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+    const listEl = document.getElementById("sources");
+    const urlInput = document.getElementById("sourceUrl");
+    const labelInput = document.getElementById("sourceLabel");
+    const roleSelect = document.getElementById("sourceRole");
+    const formatSelect = document.getElementById("sourceFormat");
+    const sheetFile = document.getElementById("sheetFile");
+    const sheetPicker = document.getElementById("sheetPicker");
+    const sheetFileStatus = document.getElementById("sheetFileStatus");
+    const addButton = document.getElementById("addSource");
+    const errorEl = document.getElementById("sourceError");
+    const refreshButton = document.getElementById("refreshNow");
+    const refreshStatus = document.getElementById("refreshStatus");
+    const refreshTtl = document.getElementById("refreshTtl");
+    const historyEl = document.getElementById("history");
+    const diagnosticsEl = document.getElementById("diagnostics");
+    const overrideKey = document.getElementById("overrideKey");
+    const overrideValue = document.getElementById("overrideValue");
+    const addOverride = document.getElementById("addOverride");
+    const overrideError = document.getElementById("overrideError");
+    const overrideSearch = document.getElementById("overrideSearch");
+    const overrideCount = document.getElementById("overrideCount");
+    const overridesEl = document.getElementById("overrides");
+    const importFile = document.getElementById("importFile");
+    const importFormat = document.getElementById("importFormat");
+    const importEncoding = document.getElementById("importEncoding");
+    const importText = document.getElementById("importText");
+    const importPreview = document.getElementById("importPreview");
+    const importStatus = document.getElementById("importStatus");
+    const importResult = document.getElementById("importResult");
+    const doubtfulEl = document.getElementById("doubtfulKeys");
+    const doubtfulCount = document.getElementById("doubtfulCount");
+    const clearDoubtful = document.getElementById("clearDoubtful");
+    const typographyForm = {
+        font: document.getElementById("typoFont"),
+        size: document.getElementById("typoSize"),
+        colorOn: document.getElementById("typoColorOn"),
+        color: document.getElementById("typoColor"),
+        highlightOn: document.getElementById("typoHighlightOn"),
+        highlight: document.getElementById("typoHighlight"),
+        rubyPosition: document.getElementById("typoRubyPosition"),
+        rtSize: document.getElementById("typoRtSize")
+    };
+    const typographyReset = document.getElementById("typoReset");
+    const attributeInputs = Array.from(document.querySelectorAll("#translatedAttributes input[type='checkbox']"));
+
+    let sources = await getSourcesFromBackground();
+    let statusById = await getSourceStatus();
+
+    async function update(next) {
+        sources = next;
+        render();
+        try {
+            await saveSources(next);
+        } catch (e) {
+            errorEl.textContent = `保存に失敗しました: ${String(e?.message ?? e)}`;
+        }
+    }
+
+    function render() {
+        renderSources(listEl, sources, statusById, update);
+    }
+
+    render();
+    let overrides = await getLocalOverrides();
+
+    async function updateOverrides(next) {
+        overrides = next;
+        renderOverrideList();
+        try {
+            await saveLocalOverrides(next);
+        } catch (e) {
+            overrideError.textContent = `保存に失敗しました: ${String(e?.message ?? e)}`;
+        }
+    }
+
+    function renderOverrideList() {
+        renderOverrides(overridesEl, overrideCount, overrides, overrideSearch.value, updateOverrides);
+    }
+
+    renderOverrideList();
+    overrideSearch.addEventListener("input", renderOverrideList);
+
+    let doubtful = await getDoubtfulKeys();
+
+    async function updateDoubtful(next) {
+        doubtful = next;
+        renderDoubtfulList();
+        try {
+            await saveDoubtfulKeys(next);
+        } catch {
+            // ignore
+        }
+    }
+
+    function renderDoubtfulList() {
+        renderDoubtfulKeys(doubtfulEl, doubtfulCount, doubtful, updateDoubtful);
+        clearDoubtful.disabled = Object.keys(doubtful).length === 0;
+    }
+
+    renderDoubtfulList();
+    clearDoubtful.addEventListener("click", () => updateDoubtful({}));
+
+    fillTypographyForm(typographyForm, await getTypography());
+    // 保存すると開いているタブ（各フレーム）の訳の見た目もすぐ変わる
+    for (const input of Object.values(typographyForm)) {
+        input.addEventListener("change", async () => {
+            const next = readTypographyForm(typographyForm);
+            fillTypographyForm(typographyForm, next);
+            try {
+                await EXT.storage.local.set({ [TYPOGRAPHY_KEY]: next });
+            } catch {
+                // ignore
+            }
+        });
+    }
+    fillTranslatedAttributes(attributeInputs, await getTranslatedAttributes());
+    for (const input of attributeInputs) {
+        input.addEventListener("change", async () => {
+            const next = attributeInputs.filter((el) => el.checked).map((el) => el.value);
+            try {
+                await EXT.storage.local.set({ [TRANSLATED_ATTRIBUTES_KEY]: normalizeTranslatedAttributes(next) });
+            } catch {
+                // ignore
+            }
+        });
+    }
+
+    typographyReset.addEventListener("click", async () => {
+        fillTypographyForm(typographyForm, { ...DEFAULT_TYPOGRAPHY });
+        try {
+            await EXT.storage.local.remove(TYPOGRAPHY_KEY);
+        } catch {
+            // ignore
+        }
+    });
+
+    addOverride.addEventListener("click", async () => {
+        overrideError.textContent = "";
+        const key = overrideKey.value.trim();
+        const value = overrideValue.value;
+        if (!key) {
+            overrideError.textContent = "暗号（置換元）を入力してください。";
+            return;
+        }
+        if (value.trim().length === 0) {
+            overrideError.textContent = "訳（置換先）を入力してください。";
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(overrides, key) && overrides[key] !== value) {
+            if (!confirm(`「${key}」は既に「${overrides[key]}」で登録されています。上書きしますか？`)) return;
+        }
+        overrideKey.value = "";
+        overrideValue.value = "";
+        await updateOverrides({ ...overrides, [key]: value });
+    });
+
+    importFile.addEventListener("change", async () => {
+        const file = importFile.files?.[0];
+        if (!file) return;
+        try {
+            // Shift_JIS / EUC-JP のファイルもあるので、文字コードの判定は background に任せる
+            const res = await EXT.runtime.sendMessage({
+                type: "DECODE_TEXT_FILE",
+                data: bytesToBase64(await file.arrayBuffer()),
+                encoding: importEncoding.value
+            });
+            if (!res?.ok) throw new Error(res?.error ?? "unknown");
+            importText.value = res.text;
+            if (importFormat.value === "auto") {
+                const ext = file.name.toLowerCase().match(/\.(csv|tsv|json)$/)?.[1];
+                if (ext) importFormat.value = ext;
+            }
+            importStatus.textContent = `${file.name} を読み込みました（${res.encoding}）。内容を確認してください。`;
+        } catch (e) {
+            importStatus.textContent = `ファイルを読めませんでした: ${String(e?.message ?? e)}`;
+        }
+    });
+
+    importPreview.addEventListener("click", async () => {
+        while (importResult.firstChild) importResult.removeChild(importResult.firstChild);
+        importStatus.textContent = "";
+        let parsed;
+        try {
+            parsed = await EXT.runtime.sendMessage({
+                type: "PARSE_OVERRIDE_IMPORT",
+                text: importText.value,
+                format: importFormat.value
+            });
+        } catch (e) {
+            parsed = { ok: false, error: String(e?.message ?? e) };
+        }
+        if (!parsed?.ok) {
+            importStatus.textContent = `読み込めませんでした: ${parsed?.error ?? "unknown"}`;
+            return;
+        }
+        renderImportPreview(importResult, parsed, overrides, async (next, message) => {
+            while (importResult.firstChild) importResult.removeChild(importResult.firstChild);
+            importStatus.textContent = message;
+            if (!next) return;
+            importText.value = "";
+            importFile.value = "";
+            await updateOverrides(next);
+        });
+    });
+
+    const exportFormats = [
+        { id: "exportCsv", format: "csv", mimeType: "text/csv" },
+        { id: "exportTsv", format: "tsv", mimeType: "text/tab-separated-values" },
+        { id: "exportJson", format: "json", mimeType: "application/json" }
+    ];
+    for (const { id, format, mimeType } of exportFormats) {
+        document.getElementById(id).addEventListener("click", () => {
+            downloadText(`okechika-overrides.${format}`, serializeOverrides(overrides, format), mimeType);
+        });
+    }
+
+    renderDiagnostics(diagnosticsEl, await getDiagnostics());
+
+    let history = await getMappingHistory();
+    let pinnedId = await getPinnedSnapshotId();
+    renderHistory(historyEl, history, pinnedId);
+
+    refreshTtl.value = String(await getRefreshTtl());
+    refreshTtl.addEventListener("change", async () => {
+        const v = Math.max(MIN_REFRESH_TTL_MINUTES, Math.round(Number(refreshTtl.value) || DEFAULT_REFRESH_TTL_MINUTES));
+        refreshTtl.value = String(v);
+        try {
+            await EXT.storage.local.set({ [REFRESH_TTL_KEY]: v });
+        } catch {
+            // ignore
+        }
+    });
+
+    addButton.addEventListener("click", async () => {
+        errorEl.textContent = "";
+        const parsed = parseSpreadsheetUrl(urlInput.value);
+        if (!parsed.ok) {
+            errorEl.textContent = parsed.error;
+            return;
+        }
+
+        const dup = sources.find(
+            (s) => s.kind === parsed.kind && s.docId === parsed.docId && Number(s.gid) === parsed.gid
+        );
+        if (dup) {
+            errorEl.textContent = `同じシートが既に登録されています: ${dup.label || dup.id}`;
+            return;
+        }
+
+        if (!parsed.gidSpecified) {
+            // gid 無しのURLは先頭シート(gid=0)とみなす
+            errorEl.textContent = "URLに gid が無いため、先頭のシート (gid=0) として追加しました。";
+        }
+
+        const source = {
+            id: newSourceId(),
+            label: labelInput.value.trim() || `シート ${parsed.docId.slice(0, 8)}… / gid=${parsed.gid}`,
+            kind: parsed.kind,
+            docId: parsed.docId,
+            gid: parsed.gid,
+            enabled: true,
+            role: roleSelect.value,
+            format: parsed.kind === "doc" ? formatSelect.value : "csv"
+        };
+        urlInput.value = "";
+        labelInput.value = "";
+        await update([...sources, source]);
+    });
+
+    async function importSheetFile(file, sheetIndex) {
+        while (sheetPicker.firstChild) sheetPicker.removeChild(sheetPicker.firstChild);
+        sheetFileStatus.textContent = "読み込み中…";
+        const res = await sendSheetFile(file, { sheetIndex, role: roleSelect.value });
+        if (res?.ok) {
+            const encodingText = res.encoding ? `・${res.encoding}` : "";
+            sheetFileStatus.textContent = `${file.name} を追加しました（${res.format.toUpperCase()}${encodingText}・${res.rowCount} 行）`;
+            sheetFile.value = "";
+            return;
+        }
+        if (!res?.needSheet) {
+            sheetFileStatus.textContent = `ファイルを読めませんでした: ${res?.error ?? "unknown"}`;
+            return;
+        }
+
+        sheetFileStatus.textContent = "シートが複数あります。使うシートを選んでください。";
+        const select = document.createElement("select");
+        res.sheets.forEach((name, i) => {
+            const option = document.createElement("option");
+            option.value = String(i);
+            option.textContent = name || `シート ${i + 1}`;
+            select.appendChild(option);
+        });
+        const ok = document.createElement("button");
+        ok.type = "button";
+        ok.textContent = "このシートを追加";
+        ok.addEventListener("click", () => importSheetFile(file, Number(select.value)));
+        sheetPicker.appendChild(select);
+        sheetPicker.appendChild(ok);
+    }
+
+    sheetFile.addEventListener("change", () => {
+        const file = sheetFile.files?.[0];
+        if (file) importSheetFile(file, undefined);
+    });
+
+    refreshButton.addEventListener("click", async () => {
+        refreshButton.disabled = true;
+        refreshStatus.textContent = "更新中…";
+        try {
+            const res = await EXT.runtime.sendMessage({ type: "REFRESH_MAPPING" });
+            refreshStatus.textContent = res?.ok
+                ? `更新しました（${res.count ?? 0} 件${res.stale ? "・一部は前回取得分" : ""}）`
+                : `更新に失敗しました: ${res?.error ?? "unknown"}${res?.stale ? "（前回の対応表を引き続き使用します）" : ""}`;
+        } catch (e) {
+            refreshStatus.textContent = `更新に失敗しました: ${String(e?.message ?? e)}`;
+        } finally {
+            refreshButton.disabled = false;
+        }
+    });
+
+    try {
+        EXT.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== "local") return;
+            if (!changes) return;
+            if (Object.prototype.hasOwnProperty.call(changes, SOURCES_KEY)) {
+                // ファイルの読み込みなど background 側で追加されたソースも表示する
+                getSourcesFromBackground().then((next) => {
+                    sources = next;
+                    render();
+                });
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, SOURCE_STATUS_KEY)) {
+                statusById = changes[SOURCE_STATUS_KEY]?.newValue ?? {};
+                render();
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, HISTORY_KEY)) {
+                const next = changes[HISTORY_KEY]?.newValue;
+                history = Array.isArray(next) ? next : [];
+                renderHistory(historyEl, history, pinnedId);
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, LOCAL_OVERRIDE_KEY)) {
+                // 他のタブや画面からの変更も反映する
+                const next = changes[LOCAL_OVERRIDE_KEY]?.newValue;
+                overrides = next && typeof next === "object" ? next : {};
+                renderOverrideList();
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, TRANSLATED_ATTRIBUTES_KEY)) {
+                fillTranslatedAttributes(
+                    attributeInputs,
+                    normalizeTranslatedAttributes(changes[TRANSLATED_ATTRIBUTES_KEY]?.newValue)
+                );
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, TYPOGRAPHY_KEY)) {
+                fillTypographyForm(typographyForm, normalizeTypography(changes[TYPOGRAPHY_KEY]?.newValue));
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, DOUBTFUL_KEYS_KEY)) {
+                const next = changes[DOUBTFUL_KEYS_KEY]?.newValue;
+                doubtful = next && typeof next === "object" ? next : {};
+                renderDoubtfulList();
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, DIAGNOSTICS_KEY)) {
+                renderDiagnostics(diagnosticsEl, changes[DIAGNOSTICS_KEY]?.newValue ?? null);
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, PINNED_KEY)) {
+                pinnedId = changes[PINNED_KEY]?.newValue?.id ?? null;
+                renderHistory(historyEl, history, pinnedId);
+            }
+        });
+    } catch {
+        // ignore
+    }
+});
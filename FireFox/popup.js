@@ -1,124 +1,711 @@
-const ENABLED_KEY = "okechikaEnabled";
-const RUBY_SWAP_KEY = "okechikaRubySwap";
-const DOMAIN_ONLY_KEY = "okechikaDomainOnly";
-
-// Firefox は `browser.*` が Promise ベース。
-const EXT = globalThis.browser ?? globalThis.chrome;
-
-function normalizeEnabled(v) {
-    return v === undefined ? true : Boolean(v);
-}
-
-function normalizeRubySwap(v) {
-    return v === undefined ? false : Boolean(v);
-}
-
-function normalizeDomainOnly(v) {
-    return v === undefined ? true : Boolean(v);
-}
-
-async function getEnabled() {
-    try {
-        const obj = (await EXT.storage.local.get(ENABLED_KEY)) ?? {};
-        return normalizeEnabled(obj?.[ENABLED_KEY]);
-    } catch {
-        return true;
-    }
-}
-
-async function getRubySwap() {
-    try {
-        const obj = (await EXT.storage.local.get(RUBY_SWAP_KEY)) ?? {};
-        return normalizeRubySwap(obj?.[RUBY_SWAP_KEY]);
-    } catch {
-        return false;
-    }
-}
-
-async function getDomainOnly() {
-    try {
-        const obj = (await EXT.storage.local.get(DOMAIN_ONLY_KEY)) ?? {};
-        return normalizeDomainOnly(obj?.[DOMAIN_ONLY_KEY]);
-    } catch {
-        return true;
-    }
-}
-
-async function setEnabled(next) {
-    try {
-        await EXT.storage.local.set({ [ENABLED_KEY]: Boolean(next) });
-    } catch {
-        // ignore
-    }
-}
-
-async function setRubySwap(next) {
-    try {
-        await EXT.storage.local.set({ [RUBY_SWAP_KEY]: Boolean(next) });
-    } catch {
-        // ignore
-    }
-}
-
-async function setDomainOnly(next) {
-    try {
-        await EXT.storage.local.set({ [DOMAIN_ONLY_KEY]: Boolean(next) });
-    } catch {
-        // ignore
-    }
-}
-
-function renderStatus(el, enabled) {
-    el.textContent = enabled ? "状態: ON（翻訳有効）" : "状態: OFF（翻訳無効）";
-}
-
-document.addEventListener("DOMContentLoaded", async () => {
-    const checkbox = document.getElementById("enabled");
-    const domainOnly = document.getElementById("domainOnly");
-    const rubySwap = document.getElementById("rubySwap");
-    const status = document.getElementById("status");
-
-    const enabled = await getEnabled();
-    checkbox.checked = enabled;
-
-    const rubySwapValue = await getRubySwap();
-    rubySwap.checked = rubySwapValue;
-
-    const domainOnlyValue = await getDomainOnly();
-    domainOnly.checked = domainOnlyValue;
-    renderStatus(status, enabled);
-
-    checkbox.addEventListener("change", async () => {
-        const next = checkbox.checked;
-        renderStatus(status, next);
-        await setEnabled(next);
-    });
-
-    rubySwap.addEventListener("change", async () => {
-        await setRubySwap(rubySwap.checked);
-    });
-
-    domainOnly.addEventListener("change", async () => {
-        await setDomainOnly(domainOnly.checked);
-    });
-
-    try {
-        EXT.storage.onChanged.addListener((changes, areaName) => {
-            if (areaName !== "local") return;
-            if (!changes) return;
-            if (Object.prototype.hasOwnProperty.call(changes, ENABLED_KEY)) {
-                const next = normalizeEnabled(changes[ENABLED_KEY]?.newValue);
-                checkbox.checked = next;
-                renderStatus(status, next);
-            }
-            if (Object.prototype.hasOwnProperty.call(changes, RUBY_SWAP_KEY)) {
-                rubySwap.checked = normalizeRubySwap(changes[RUBY_SWAP_KEY]?.newValue);
-            }
-            if (Object.prototype.hasOwnProperty.call(changes, DOMAIN_ONLY_KEY)) {
-                domainOnly.checked = normalizeDomainOnly(changes[DOMAIN_ONLY_KEY]?.newValue);
-            }
-        });
-    } catch {
-        // ignore
-    }
-});
+const ENABLED_KEY = "okechikaEnabled";
+const RUBY_SWAP_KEY = "okechikaRubySwap";
+const DOMAIN_ONLY_KEY = "okechikaDomainOnly";
+const MARK_UNMAPPED_KEY = "okechikaMarkUnmapped";
+// 訳の見せ方（content.js の DISPLAY_MODES と同じ値）
+const DISPLAY_MODE_KEY = "okechikaDisplayMode";
+const DISPLAY_MODES = ["ruby", "replace", "tooltip", "interlinear", "split"];
+const DEFAULT_DISPLAY_MODE = "ruby";
+const GLYPH_RUBY_KEY = "okechikaGlyphRuby";
+const INSPECTOR_KEY = "okechikaInspector";
+const MAPPING_KEY = "cipherMapping";
+const HISTORY_KEY = "mappingHistory";
+const DIAGNOSTICS_KEY = "mappingDiagnostics";
+// 逆変換で同じ訳の字が複数あるときの選び方（background.js の ENCODE_STRATEGIES と同じ値）
+const ENCODE_STRATEGY_KEY = "okechikaEncodeStrategy";
+const DEFAULT_ENCODE_STRATEGY = "first";
+// ページごとの対応表の向きの手動指定（content.js の DIRECTION_OVERRIDES_KEY と同じ）
+const DIRECTION_OVERRIDES_KEY = "okechikaDirectionOverrides";
+const DIRECTION_LABELS = { forward: "A列→B列", reverse: "B列→A列" };
+// 覚えておくページ数の上限（古く指定したものから捨てる）
+const MAX_DIRECTION_OVERRIDES = 200;
+// 対応表に無い暗号文字の一覧に出す種類の上限（多い順）
+const MAX_UNMAPPED_GLYPHS = 100;
+
+// Firefox は `browser.*` が Promise ベース。
+const EXT = globalThis.browser ?? globalThis.chrome;
+
+function normalizeEnabled(v) {
+    return v === undefined ? true : Boolean(v);
+}
+
+function normalizeRubySwap(v) {
+    return v === undefined ? false : Boolean(v);
+}
+
+function normalizeDomainOnly(v) {
+    return v === undefined ? true : Boolean(v);
+}
+
+function normalizeDisplayMode(v) {
+    return DISPLAY_MODES.includes(v) ? v : DEFAULT_DISPLAY_MODE;
+}
+
+async function getEnabled() {
+    try {
+        const obj = (await EXT.storage.local.get(ENABLED_KEY)) ?? {};
+        return normalizeEnabled(obj?.[ENABLED_KEY]);
+    } catch {
+        return true;
+    }
+}
+
+async function getRubySwap() {
+    try {
+        const obj = (await EXT.storage.local.get(RUBY_SWAP_KEY)) ?? {};
+        return normalizeRubySwap(obj?.[RUBY_SWAP_KEY]);
+    } catch {
+        return false;
+    }
+}
+
+async function getDomainOnly() {
+    try {
+        const obj = (await EXT.storage.local.get(DOMAIN_ONLY_KEY)) ?? {};
+        return normalizeDomainOnly(obj?.[DOMAIN_ONLY_KEY]);
+    } catch {
+        return true;
+    }
+}
+
+async function setEnabled(next) {
+    try {
+        await EXT.storage.local.set({ [ENABLED_KEY]: Boolean(next) });
+    } catch {
+        // ignore
+    }
+}
+
+async function setRubySwap(next) {
+    try {
+        await EXT.storage.local.set({ [RUBY_SWAP_KEY]: Boolean(next) });
+    } catch {
+        // ignore
+    }
+}
+
+async function getDisplayMode() {
+    try {
+        const obj = (await EXT.storage.local.get(DISPLAY_MODE_KEY)) ?? {};
+        return normalizeDisplayMode(obj?.[DISPLAY_MODE_KEY]);
+    } catch {
+        return DEFAULT_DISPLAY_MODE;
+    }
+}
+
+async function setDisplayMode(next) {
+    try {
+        await EXT.storage.local.set({ [DISPLAY_MODE_KEY]: normalizeDisplayMode(next) });
+    } catch {
+        // ignore
+    }
+}
+
+async function getGlyphRuby() {
+    try {
+        const obj = (await EXT.storage.local.get(GLYPH_RUBY_KEY)) ?? {};
+        return Boolean(obj?.[GLYPH_RUBY_KEY]);
+    } catch {
+        return false;
+    }
+}
+
+async function setGlyphRuby(next) {
+    try {
+        await EXT.storage.local.set({ [GLYPH_RUBY_KEY]: Boolean(next) });
+    } catch {
+        // ignore
+    }
+}
+
+async function getInspector() {
+    try {
+        const obj = (await EXT.storage.local.get(INSPECTOR_KEY)) ?? {};
+        return normalizeEnabled(obj?.[INSPECTOR_KEY]);
+    } catch {
+        return true;
+    }
+}
+
+async function setInspector(next) {
+    try {
+        await EXT.storage.local.set({ [INSPECTOR_KEY]: Boolean(next) });
+    } catch {
+        // ignore
+    }
+}
+
+async function getMarkUnmapped() {
+    try {
+        const obj = (await EXT.storage.local.get(MARK_UNMAPPED_KEY)) ?? {};
+        return Boolean(obj?.[MARK_UNMAPPED_KEY]);
+    } catch {
+        return false;
+    }
+}
+
+async function setMarkUnmapped(next) {
+    try {
+        await EXT.storage.local.set({ [MARK_UNMAPPED_KEY]: Boolean(next) });
+    } catch {
+        // ignore
+    }
+}
+
+async function setDomainOnly(next) {
+    try {
+        await EXT.storage.local.set({ [DOMAIN_ONLY_KEY]: Boolean(next) });
+    } catch {
+        // ignore
+    }
+}
+
+async function getEncodeStrategy() {
+    try {
+        const obj = (await EXT.storage.local.get(ENCODE_STRATEGY_KEY)) ?? {};
+        return obj?.[ENCODE_STRATEGY_KEY] ?? DEFAULT_ENCODE_STRATEGY;
+    } catch {
+        return DEFAULT_ENCODE_STRATEGY;
+    }
+}
+
+async function setEncodeStrategy(next) {
+    try {
+        await EXT.storage.local.set({ [ENCODE_STRATEGY_KEY]: next });
+    } catch {
+        // ignore
+    }
+}
+
+async function encodeText(text, strategy) {
+    try {
+        return await EXT.runtime.sendMessage({ type: "ENCODE_TEXT", text, strategy });
+    } catch (e) {
+        return { ok: false, error: String(e?.message ?? e) };
+    }
+}
+
+function renderEncodeStatus(el, result) {
+    if (!result) {
+        el.textContent = "";
+        return;
+    }
+    if (!result.ok) {
+        el.textContent = `変換できません（${result.error ?? "unknown"}）`;
+        return;
+    }
+    const parts = [];
+    if (result.unmatched > 0) parts.push(`対応表に無い文字 ${result.unmatched} 字`);
+    if (result.homophones > 0) parts.push(`候補が複数 ${result.homophones} 箇所`);
+    el.textContent = parts.join("／");
+}
+
+// 表示中のタブの1つのフレーム（既定は最上位）の content script に問い合わせる（動いていなければ null）
+async function sendToActiveTab(message, frameId = 0) {
+    try {
+        const [tab] = await EXT.tabs.query({ active: true, currentWindow: true });
+        if (tab?.id === undefined) return null;
+        return (await EXT.tabs.sendMessage(tab.id, message, { frameId })) ?? null;
+    } catch {
+        return null;
+    }
+}
+
+// 表示中のタブの全フレームの content script に問い合わせる。応答のあったフレームだけを
+// [{ frameId, response }] で、最上位を先頭に frameId の順で返す（フレームを列挙できなければ最上位だけ）
+async function sendToAllFrames(message) {
+    try {
+        const [tab] = await EXT.tabs.query({ active: true, currentWindow: true });
+        if (tab?.id === undefined) return [];
+        let frameIds = [0];
+        try {
+            const frames = await EXT.webNavigation.getAllFrames({ tabId: tab.id });
+            if (Array.isArray(frames) && frames.length > 0) frameIds = frames.map((f) => f.frameId).sort((a, b) => a - b);
+        } catch {
+            // ignore
+        }
+        const results = await Promise.all(
+            frameIds.map(async (frameId) => {
+                try {
+                    const response = await EXT.tabs.sendMessage(tab.id, message, { frameId });
+                    return response ? { frameId, response } : null;
+                } catch {
+                    return null;
+                }
+            })
+        );
+        return results.filter(Boolean);
+    } catch {
+        return [];
+    }
+}
+
+// フレームごとの向きの判定結果。最上位と、翻訳しているフレームだけを残し、
+// 同じ URL のフレームは向きの指定も共通（URL のパスごとに覚える）なので1つにまとめる
+async function getFrameDirections() {
+    const states = [];
+    for (const { frameId, response } of await sendToAllFrames({ type: "GET_PAGE_DIRECTION" })) {
+        if (!response?.ok || (frameId !== 0 && !response.active)) continue;
+        if (states.some((s) => s.pageKey === response.pageKey)) continue;
+        states.push({ ...response, frameId });
+    }
+    return states;
+}
+
+function frameLabel(state) {
+    if (state.frameId === 0) return "ページ本体";
+    try {
+        const url = new URL(state.pageKey);
+        return `フレーム: ${url.host}${url.pathname}`;
+    } catch {
+        return `フレーム ${state.frameId}`;
+    }
+}
+
+async function setDirectionOverride(pageKey, value) {
+    try {
+        const obj = (await EXT.storage.local.get(DIRECTION_OVERRIDES_KEY)) ?? {};
+        const overrides = { ...(obj?.[DIRECTION_OVERRIDES_KEY] ?? {}) };
+        // 指定し直したページは末尾に回す（上限を超えたら先頭＝古いものから捨てる）
+        delete overrides[pageKey];
+        if (value in DIRECTION_LABELS) overrides[pageKey] = value;
+        const keys = Object.keys(overrides);
+        for (const k of keys.slice(0, Math.max(keys.length - MAX_DIRECTION_OVERRIDES, 0))) delete overrides[k];
+        await EXT.storage.local.set({ [DIRECTION_OVERRIDES_KEY]: overrides });
+    } catch {
+        // ignore
+    }
+}
+
+function renderDirectionInfo(el, state) {
+    if (!state?.ok || !state.detected) {
+        el.textContent = "向き: このページでは翻訳していません";
+        return;
+    }
+    const d = state.detected;
+    const percent = (v) => `${Math.round((v ?? 0) * 100)}%`;
+    const scores = `一致率 A→B ${percent(d.forward)}／B→A ${percent(d.reverse)}`;
+    el.textContent = state.override
+        ? `向き: ${DIRECTION_LABELS[state.direction]}（手動で指定・自動判定は ${DIRECTION_LABELS[d.direction]}、${scores}）`
+        : `向き: ${DIRECTION_LABELS[state.direction]}（自動判定・${scores}）`;
+}
+
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch {
+        // 許可が無いなどで使えないときは、一時的な textarea を選択してコピーする
+        const textarea = document.createElement("textarea");
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+        const ok = document.execCommand("copy");
+        textarea.remove();
+        return ok;
+    }
+}
+
+// 試し変換: ページと同じ replacer.js（buildTokenizer）で、保存済みの対応表から暗号文を訳す
+function createDecoder(info) {
+    if (!info?.ok || !info.mapping) return null;
+    const tokenize = buildTokenizer(info.mapping, info.matcher, info.rules);
+    if (!tokenize) return null;
+    return { tokenize, isUnmapped: buildUnmappedGlyphTest(info.mapping) };
+}
+
+// 訳を描いてコピー用の文字列を返す。ルビ付きは空白区切りごと（ページの表示と同じ単位）に ｜訳《暗号》 で写す
+function renderDecoded(el, statusEl, decoder, text, view) {
+    el.textContent = "";
+    if (!decoder) {
+        statusEl.textContent = text ? "対応表がありません（設定から対応表ソースを追加してください）" : "";
+        return "";
+    }
+
+    const counts = new Map();
+    let copyText = "";
+    if (view === "ruby") {
+        // ページと同じく全文で置換してから空白ごとに分ける（前後条件・語頭のルールが空白をまたいでも効くように）
+        for (const { text: part, tokens } of splitTokensAtSpaces(decoder.tokenize(text))) {
+            if (!tokens) {
+                el.append(part);
+                copyText += part;
+                continue;
+            }
+            const translated = joinTokens(tokens);
+            if (translated === part) {
+                appendMarkedTokens(el, tokens, decoder.isUnmapped, { counts });
+                copyText += part;
+                continue;
+            }
+            const ruby = document.createElement("ruby");
+            appendMarkedTokens(ruby, tokens, decoder.isUnmapped, { counts });
+            const rt = document.createElement("rt");
+            rt.textContent = part;
+            ruby.appendChild(rt);
+            el.appendChild(ruby);
+            copyText += `｜${translated}《${part}》`;
+        }
+    } else {
+        const tokens = decoder.tokenize(text);
+        appendMarkedTokens(el, tokens, decoder.isUnmapped, { counts });
+        copyText = joinTokens(tokens);
+    }
+
+    if (!text) {
+        statusEl.textContent = "";
+    } else if (counts.size === 0) {
+        statusEl.textContent = "すべて対応表にある字です";
+    } else {
+        const total = [...counts.values()].reduce((sum, n) => sum + n, 0);
+        statusEl.textContent = `対応表に無い字 ${counts.size} 種（${total} 字）`;
+    }
+    return copyText;
+}
+
+const UNMAPPED_ERROR_LABELS = {
+    reverse: "逆方向（B列→A列）で表示中は数えません",
+    inactive: "このページでは翻訳していません"
+};
+
+// 全フレームの「対応表に無い暗号文字」を合算する。glyphs は [字, 件数, [[frameId, 件数], …]] の多い順。
+// どのフレームでも数えられなければ、最上位（無ければ最初）のフレームの理由を返す
+async function getUnmappedGlyphs() {
+    const responses = await sendToAllFrames({ type: "GET_UNMAPPED_GLYPHS" });
+    const counted = responses.filter(({ response }) => response.ok);
+    if (counted.length === 0) return (responses.find(({ frameId }) => frameId === 0) ?? responses[0])?.response ?? null;
+
+    const merged = new Map();
+    for (const { frameId, response } of counted) {
+        for (const [glyph, count] of response.glyphs) {
+            const entry = merged.get(glyph) ?? { count: 0, frames: [] };
+            entry.count += count;
+            entry.frames.push([frameId, count]);
+            merged.set(glyph, entry);
+        }
+    }
+    const glyphs = [...merged].map(([glyph, e]) => [glyph, e.count, e.frames]).sort((a, b) => b[1] - a[1]);
+    return { ok: true, glyphs, total: glyphs.reduce((sum, [, n]) => sum + n, 0) };
+}
+
+// 一覧の各字に「次を表示」を付ける（押すたびにページ上の次の出現箇所へ、フレームをまたいで順に移る）
+function renderUnmappedList(listEl, statusEl, result) {
+    listEl.textContent = "";
+    if (!result?.ok) {
+        statusEl.textContent = UNMAPPED_ERROR_LABELS[result?.error] ?? UNMAPPED_ERROR_LABELS.inactive;
+        return;
+    }
+    if (result.glyphs.length === 0) {
+        statusEl.textContent = "対応表に無い暗号文字はありません";
+        return;
+    }
+    const shown = result.glyphs.slice(0, MAX_UNMAPPED_GLYPHS);
+    statusEl.textContent =
+        `${result.glyphs.length} 種・${result.total} 字` +
+        (shown.length < result.glyphs.length ? `（多い順に ${shown.length} 種を表示）` : "");
+
+    for (const [glyph, count, frames = [[0, count]]] of shown) {
+        const li = document.createElement("li");
+        const glyphEl = document.createElement("span");
+        glyphEl.className = "glyph";
+        glyphEl.textContent = glyph;
+        const countEl = document.createElement("span");
+        countEl.className = "count";
+        countEl.textContent = `${count} 回`;
+        const jump = document.createElement("button");
+        jump.type = "button";
+        jump.textContent = "次を表示";
+        let next = 0;
+        jump.addEventListener("click", async () => {
+            // 全フレーム通しての next 件目を持つフレームと、そのフレームの中での番号を探す
+            let offset = 0;
+            let target = frames[0];
+            const position = next % count;
+            for (const frame of frames) {
+                target = frame;
+                if (position < offset + frame[1]) break;
+                offset += frame[1];
+            }
+            const res = await sendToActiveTab({ type: "JUMP_TO_UNMAPPED", glyph, index: position - offset }, target[0]);
+            if (!res?.ok) {
+                statusEl.textContent = `「${glyph}」がページ上に見つかりません`;
+                return;
+            }
+            next = offset + res.index + 1;
+            statusEl.textContent = `「${glyph}」${offset + res.index + 1} / ${count} 件目`;
+        });
+        li.append(glyphEl, countEl, jump);
+        listEl.appendChild(li);
+    }
+}
+
+function renderStatus(el, enabled) {
+    el.textContent = enabled ? "状態: ON（翻訳有効）" : "状態: OFF（翻訳無効）";
+}
+
+async function getMappingSummary() {
+    try {
+        const obj = (await EXT.storage.local.get([MAPPING_KEY, HISTORY_KEY, DIAGNOSTICS_KEY])) ?? {};
+        const history = obj?.[HISTORY_KEY];
+        return {
+            info: obj?.[MAPPING_KEY] ?? null,
+            latest: Array.isArray(history) ? history[0] : null,
+            diagnostics: obj?.[DIAGNOSTICS_KEY] ?? null
+        };
+    } catch {
+        return { info: null, latest: null, diagnostics: null };
+    }
+}
+
+function renderMappingInfo(el, summary) {
+    const info = summary?.info;
+    if (!info) {
+        el.textContent = "対応表: 未取得";
+        return;
+    }
+    if (!info.ok) {
+        el.textContent = `対応表: 取得失敗（${info.error ?? "unknown"}）`;
+        return;
+    }
+
+    let when = "";
+    try {
+        if (typeof info.fetchedAt === "number") when = new Date(info.fetchedAt).toLocaleString();
+    } catch {
+        // ignore
+    }
+    const diff = summary.latest?.diff;
+    const diffText = diff ? `／前回から +${diff.added?.length ?? 0} −${diff.removed?.length ?? 0} ~${diff.changed?.length ?? 0}` : "";
+    const staleText = info.pinnedSnapshotId
+        ? "（過去の版に固定中）"
+        : info.overrideOnly
+          ? "（スプレッドシート未取得・ローカル上書きのみ）"
+          : info.stale
+            ? "（更新失敗・前回分を使用中）"
+            : "";
+    const ruleText = info.ruleCount ? `・ルール ${info.ruleCount} 件` : "";
+    el.textContent = `対応表: ${info.count ?? 0} 件${ruleText} ${when}${staleText}${diffText}`;
+}
+
+function renderDiagnosticsInfo(el, summary) {
+    const d = summary?.diagnostics;
+    if (!d) {
+        el.textContent = "";
+        return;
+    }
+    const warnings = d.warningCount ?? 0;
+    el.textContent = `診断: ${warnings > 0 ? `警告 ${warnings} 件` : "問題なし"}／前方一致キー ${d.prefixKeyCount ?? 0} 件`;
+    el.style.color = warnings > 0 ? "#ef6c00" : "";
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+    const checkbox = document.getElementById("enabled");
+    const domainOnly = document.getElementById("domainOnly");
+    const rubySwap = document.getElementById("rubySwap");
+    const displayMode = document.getElementById("displayMode");
+    const glyphRuby = document.getElementById("glyphRuby");
+    const inspector = document.getElementById("inspector");
+    const status = document.getElementById("status");
+    const mappingInfo = document.getElementById("mappingInfo");
+    const diagnosticsInfo = document.getElementById("diagnosticsInfo");
+
+    const enabled = await getEnabled();
+    checkbox.checked = enabled;
+
+    const rubySwapValue = await getRubySwap();
+    rubySwap.checked = rubySwapValue;
+    displayMode.value = await getDisplayMode();
+    // ルビの入替はルビ表示のときだけ意味がある
+    rubySwap.disabled = displayMode.value !== "ruby";
+    glyphRuby.checked = await getGlyphRuby();
+    inspector.checked = await getInspector();
+
+    const domainOnlyValue = await getDomainOnly();
+    domainOnly.checked = domainOnlyValue;
+    renderStatus(status, enabled);
+    const summary = await getMappingSummary();
+    renderMappingInfo(mappingInfo, summary);
+    renderDiagnosticsInfo(diagnosticsInfo, summary);
+
+    const direction = document.getElementById("direction");
+    const directionInfo = document.getElementById("directionInfo");
+    const directionFrameRow = document.getElementById("directionFrameRow");
+    const directionFrame = document.getElementById("directionFrame");
+    const frameDirections = await getFrameDirections();
+    // 既定は対応表との一致率が最も高いフレーム（同じなら最上位）。iframe の中だけに暗号があるページもある
+    const coverage = (state) => Math.max(state.detected?.forward ?? 0, state.detected?.reverse ?? 0);
+    let pageDirection = frameDirections.reduce((best, s) => (coverage(s) > coverage(best) ? s : best), frameDirections[0]) ?? null;
+    const showPageDirection = () => {
+        direction.value = pageDirection?.override ?? "auto";
+        direction.disabled = !pageDirection?.ok;
+        renderDirectionInfo(directionInfo, pageDirection);
+    };
+    // 翻訳しているフレームが複数あるときだけ、どのフレームの向きかを選ばせる
+    frameDirections.forEach((state, i) => {
+        const option = document.createElement("option");
+        option.value = String(i);
+        option.textContent = frameLabel(state);
+        directionFrame.appendChild(option);
+    });
+    directionFrame.value = String(Math.max(frameDirections.indexOf(pageDirection), 0));
+    directionFrameRow.style.display = frameDirections.length > 1 ? "" : "none";
+    directionFrame.addEventListener("change", () => {
+        pageDirection = frameDirections[Number(directionFrame.value)] ?? null;
+        showPageDirection();
+    });
+    showPageDirection();
+
+    direction.addEventListener("change", async () => {
+        if (!pageDirection?.ok) return;
+        const override = direction.value in DIRECTION_LABELS ? direction.value : null;
+        await setDirectionOverride(pageDirection.pageKey, direction.value);
+        // ページ側は storage の変更を受けて訳し直すので、ここでは表示だけ先に合わせる
+        pageDirection.override = override;
+        pageDirection.direction = override ?? pageDirection.detected?.direction ?? "forward";
+        renderDirectionInfo(directionInfo, pageDirection);
+    });
+
+    checkbox.addEventListener("change", async () => {
+        const next = checkbox.checked;
+        renderStatus(status, next);
+        await setEnabled(next);
+    });
+
+    rubySwap.addEventListener("change", async () => {
+        await setRubySwap(rubySwap.checked);
+    });
+
+    glyphRuby.addEventListener("change", async () => {
+        await setGlyphRuby(glyphRuby.checked);
+    });
+
+    inspector.addEventListener("change", async () => {
+        await setInspector(inspector.checked);
+    });
+
+    displayMode.addEventListener("change", async () => {
+        rubySwap.disabled = displayMode.value !== "ruby";
+        await setDisplayMode(displayMode.value);
+    });
+
+    domainOnly.addEventListener("change", async () => {
+        await setDomainOnly(domainOnly.checked);
+    });
+
+    const markUnmapped = document.getElementById("markUnmapped");
+    const unmappedSection = document.getElementById("unmappedSection");
+    const unmappedList = document.getElementById("unmappedList");
+    const unmappedStatus = document.getElementById("unmappedStatus");
+    markUnmapped.checked = await getMarkUnmapped();
+    markUnmapped.addEventListener("change", async () => {
+        await setMarkUnmapped(markUnmapped.checked);
+    });
+    // 開いたときと「数え直す」のときだけ数える（ページ全体をたどるため）
+    const loadUnmapped = async () => {
+        unmappedStatus.textContent = "数えています…";
+        renderUnmappedList(unmappedList, unmappedStatus, await getUnmappedGlyphs());
+    };
+    unmappedSection.addEventListener("toggle", () => {
+        if (unmappedSection.open) loadUnmapped();
+    });
+    document.getElementById("unmappedRefresh").addEventListener("click", loadUnmapped);
+
+    const decodeInput = document.getElementById("decodeInput");
+    const decodeOutput = document.getElementById("decodeOutput");
+    const decodeStatus = document.getElementById("decodeStatus");
+    let decoder = createDecoder(summary.info);
+    let decodedText = "";
+    const runDecode = () => {
+        const view = document.querySelector('input[name="decodeView"]:checked')?.value ?? "plain";
+        decodedText = renderDecoded(decodeOutput, decodeStatus, decoder, decodeInput.value, view);
+    };
+    decodeInput.addEventListener("input", runDecode);
+    for (const radio of document.querySelectorAll('input[name="decodeView"]')) {
+        radio.addEventListener("change", runDecode);
+    }
+    document.getElementById("decodeCopy").addEventListener("click", async () => {
+        if (!decodedText) return;
+        decodeStatus.textContent = (await copyToClipboard(decodedText)) ? "コピーしました" : "コピーできませんでした";
+    });
+
+    const encodeInput = document.getElementById("encodeInput");
+    const encodeStrategy = document.getElementById("encodeStrategy");
+    const encodeOutput = document.getElementById("encodeOutput");
+    const encodeStatus = document.getElementById("encodeStatus");
+    encodeStrategy.value = await getEncodeStrategy();
+
+    // 入力のたびに変換する（古い応答で上書きしないよう、最後の要求だけを反映）
+    let encodeSeq = 0;
+    const runEncode = async () => {
+        const seq = ++encodeSeq;
+        const text = encodeInput.value;
+        const result = text.length > 0 ? await encodeText(text, encodeStrategy.value) : null;
+        if (seq !== encodeSeq) return;
+        encodeOutput.value = result?.ok ? result.text : "";
+        renderEncodeStatus(encodeStatus, result);
+    };
+    encodeInput.addEventListener("input", runEncode);
+    encodeStrategy.addEventListener("change", async () => {
+        await setEncodeStrategy(encodeStrategy.value);
+        runEncode();
+    });
+    document.getElementById("encodeCopy").addEventListener("click", async () => {
+        if (!encodeOutput.value) return;
+        encodeStatus.textContent = (await copyToClipboard(encodeOutput.value)) ? "コピーしました" : "コピーできませんでした";
+    });
+
+    document.getElementById("openOptions").addEventListener("click", async (e) => {
+        e.preventDefault();
+        try {
+            await EXT.runtime.openOptionsPage();
+            window.close();
+        } catch {
+            // ignore
+        }
+    });
+
+    try {
+        EXT.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== "local") return;
+            if (!changes) return;
+            if (Object.prototype.hasOwnProperty.call(changes, ENABLED_KEY)) {
+                const next = normalizeEnabled(changes[ENABLED_KEY]?.newValue);
+                checkbox.checked = next;
+                renderStatus(status, next);
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, RUBY_SWAP_KEY)) {
+                rubySwap.checked = normalizeRubySwap(changes[RUBY_SWAP_KEY]?.newValue);
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, DOMAIN_ONLY_KEY)) {
+                domainOnly.checked = normalizeDomainOnly(changes[DOMAIN_ONLY_KEY]?.newValue);
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, DISPLAY_MODE_KEY)) {
+                displayMode.value = normalizeDisplayMode(changes[DISPLAY_MODE_KEY]?.newValue);
+                rubySwap.disabled = displayMode.value !== "ruby";
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, GLYPH_RUBY_KEY)) {
+                glyphRuby.checked = Boolean(changes[GLYPH_RUBY_KEY]?.newValue);
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, INSPECTOR_KEY)) {
+                inspector.checked = normalizeEnabled(changes[INSPECTOR_KEY]?.newValue);
+            }
+            if (Object.prototype.hasOwnProperty.call(changes, MARK_UNMAPPED_KEY)) {
+                markUnmapped.checked = Boolean(changes[MARK_UNMAPPED_KEY]?.newValue);
+            }
+            if (
+                Object.prototype.hasOwnProperty.call(changes, MAPPING_KEY) ||
+                Object.prototype.hasOwnProperty.call(changes, HISTORY_KEY) ||
+                Object.prototype.hasOwnProperty.call(changes, DIAGNOSTICS_KEY)
+            ) {
+                getMappingSummary().then((next) => {
+                    renderMappingInfo(mappingInfo, next);
+                    renderDiagnosticsInfo(diagnosticsInfo, next);
+                    decoder = createDecoder(next.info);
+                    runDecode();
+                });
+            }
+        });
+    } catch {
+        // ignore
+    }
+});
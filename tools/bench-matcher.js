@@ -0,0 +1,178 @@
+// 対応表の照合（トライ木）のベンチマーク。拡張機能とは別に Node.js で動かす。
+//
+//   node tools/bench-matcher.js [--dir Chrome] [--keys 20000] [--phrases 1000] [--chars 500000] [--seed 1]
+//
+// 暗号文字を空白で区切った大きな合成ページを作り、
+// - 旧方式: 長いキーを優先して | で連結した RegExp（content script で毎ページ組み立てていたもの）
+// - 新方式: background の buildMappingMatcher() が作って配るトライ木 + replacer.js の buildReplacer()
+// で、組み立てと照合の時間を比べる。両者の結果が1文字でも違えば終了コード 1 で終わる。
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function parseArgs(argv) {
+    const opts = { dir: "Chrome", keys: 20000, phrases: 1000, chars: 500000, seed: 1 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, "");
+        if (!(name in opts)) throw new Error(`Unknown option: ${argv[i]}`);
+        opts[name] = name === "dir" ? argv[i + 1] : Number(argv[i + 1]);
+    }
+    return opts;
+}
+
+// 何を呼んでも何もしない chrome.* の代わり（background.js の読み込み時のリスナー登録用）
+function createChromeStub() {
+    const stub = new Proxy(function () {}, {
+        get: (_target, key) => (key === "then" ? undefined : stub),
+        apply: () => undefined
+    });
+    return stub;
+}
+
+function loadScript(dir, file) {
+    const context = {
+        chrome: createChromeStub(),
+        console: { info() {}, warn() {}, error() {}, log() {} },
+        setTimeout,
+        clearTimeout,
+        URL,
+        TextDecoder,
+        TextEncoder
+    };
+    context.globalThis = context;
+    context.self = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(dir, file), "utf8"), context, { filename: file });
+    return context;
+}
+
+// 再現できるように、種から決まる乱数を使う（mulberry32）
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createSyntheticMapping({ keys, phrases }, random) {
+    // CJK 統合漢字の先頭から暗号文字の集合を作る（1文字キーは全部、残りは 2〜4 文字の組み合わせ）
+    const alphabet = Array.from({ length: 3000 }, (_, i) => String.fromCharCode(0x4e00 + i));
+    const kana = Array.from({ length: 80 }, (_, i) => String.fromCharCode(0x3041 + i));
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    const mapping = {};
+    for (const glyph of alphabet.slice(0, Math.min(keys, alphabet.length))) mapping[glyph] = pick(kana);
+    while (Object.keys(mapping).length < keys) {
+        const length = 2 + Math.floor(random() * 3);
+        let key = "";
+        for (let i = 0; i < length; i++) key += pick(alphabet);
+        mapping[key] = Array.from({ length }, () => pick(kana)).join("");
+    }
+
+    const multi = Object.keys(mapping).filter((k) => k.length > 1);
+    const phraseKeys = multi.slice(0, Math.min(phrases, multi.length));
+    return { mapping, phraseKeys, alphabet };
+}
+
+function createSyntheticPage({ chars }, mapping, alphabet, random) {
+    const keys = Object.keys(mapping);
+    const segments = [];
+    let total = 0;
+    while (total < chars) {
+        // 1区切り（空白まで）は 1〜40 文字。キーをつなげ、ときどき対応の無い文字を混ぜる
+        let segment = "";
+        const target = 1 + Math.floor(random() * 40);
+        while (segment.length < target) {
+            segment +=
+                random() < 0.05
+                    ? String.fromCharCode(0x5b00 + Math.floor(random() * 500))
+                    : keys[Math.floor(random() * keys.length)];
+        }
+        segments.push(segment);
+        total += segment.length + 1;
+    }
+    return segments;
+}
+
+// 旧方式: 長いキー優先の | 連結 RegExp（語句・固有名詞 → 文字単位の2段）
+function buildLegacyReplacer(mapping, phraseKeys) {
+    const compile = (list) => {
+        list.sort((a, b) => b[0].length - a[0].length);
+        const escapedKeys = list.map(([k]) => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+        return { re: new RegExp(escapedKeys.join("|"), "g"), map: new Map(list) };
+    };
+    const phraseSet = new Set(phraseKeys);
+    const entries = Object.entries(mapping);
+    const glyph = compile(entries.filter(([k]) => !phraseSet.has(k)));
+    const phrase = compile(entries.filter(([k]) => phraseSet.has(k)));
+    const replaceGlyphs = (text) => text.replace(glyph.re, (m) => glyph.map.get(m) ?? m);
+    return (text) => {
+        let out = "";
+        let last = 0;
+        for (const m of text.matchAll(phrase.re)) {
+            out += replaceGlyphs(text.slice(last, m.index)) + (phrase.map.get(m[0]) ?? m[0]);
+            last = m.index + m[0].length;
+        }
+        return out + replaceGlyphs(text.slice(last));
+    };
+}
+
+function time(fn) {
+    const startedAt = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const dir = path.resolve(__dirname, "..", opts.dir);
+    const background = loadScript(dir, "background.js");
+    const replacer = loadScript(dir, "replacer.js");
+
+    const random = createRandom(opts.seed);
+    const { mapping, phraseKeys, alphabet } = createSyntheticMapping(opts, random);
+    const segments = createSyntheticPage(opts, mapping, alphabet, random);
+    const pageChars = segments.reduce((sum, s) => sum + s.length, 0);
+    console.log(`keys=${Object.keys(mapping).length} phrases=${phraseKeys.length} segments=${segments.length} chars=${pageChars}`);
+
+    // 旧方式: RegExp は初回の照合時にコンパイルされるので、1回目の呼び出しまでを組み立て時間に含める
+    const legacyBuild = time(() => {
+        const fn = buildLegacyReplacer(mapping, phraseKeys);
+        fn(segments[0]);
+        return fn;
+    });
+    const legacyRun = time(() => segments.map(legacyBuild.result));
+
+    // 新方式: background での組み立て + storage 経由の受け渡し（JSON）+ content script での読み込み
+    const matcherBuild = time(() => background.buildMappingMatcher(mapping, phraseKeys));
+    const serialized = JSON.stringify(matcherBuild.result);
+    const trieLoad = time(() => replacer.buildReplacer(mapping, JSON.parse(serialized), []));
+    const trieRun = time(() => segments.map(trieLoad.result));
+
+    const mismatch = segments.findIndex((_, i) => legacyRun.result[i] !== trieRun.result[i]);
+
+    const row = (label, ms) => console.log(`${label.padEnd(36)}${ms.toFixed(1).padStart(10)} ms`);
+    row("legacy RegExp build + first match", legacyBuild.ms);
+    row("legacy RegExp replace (all segments)", legacyRun.ms);
+    row("trie build (background)", matcherBuild.ms);
+    row("trie load (content script)", trieLoad.ms);
+    row("trie replace (all segments)", trieRun.ms);
+    console.log(`serialized matcher: ${(serialized.length / 1024).toFixed(0)} KiB`);
+
+    if (mismatch >= 0) {
+        console.error(`MISMATCH at segment ${mismatch}:`);
+        console.error(`  input : ${segments[mismatch]}`);
+        console.error(`  legacy: ${legacyRun.result[mismatch]}`);
+        console.error(`  trie  : ${trieRun.result[mismatch]}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log("outputs match");
+}
+
+main();